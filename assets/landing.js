@@ -0,0 +1,199 @@
+(function() {
+    'use strict';
+
+    // ── Mobile menu (burger + close + nav links) ──
+    const mobMenu = document.querySelector('.mob-menu');
+    const burger  = document.querySelector('.burger');
+    const mobClose = document.querySelector('.mob-close');
+
+    if (burger && mobMenu) {
+        burger.addEventListener('click', () => mobMenu.classList.add('open'));
+    }
+    if (mobClose && mobMenu) {
+        mobClose.addEventListener('click', () => mobMenu.classList.remove('open'));
+    }
+    // Close mobile menu when any in-page link is tapped
+    mobMenu?.querySelectorAll('a[href^="#"]').forEach(link => {
+        link.addEventListener('click', () => mobMenu.classList.remove('open'));
+    });
+
+    // ── Nav scroll ──
+    const nav = document.getElementById('nav');
+    let lastY = 0;
+    let ticking = false;
+
+    function onScroll() {
+        if (!ticking) {
+            requestAnimationFrame(() => {
+                nav.classList.toggle('scrolled', window.scrollY > 8);
+                ticking = false;
+            });
+            ticking = true;
+        }
+    }
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    onScroll();
+
+    // ── Intersection Observer reveal ──
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('visible');
+                observer.unobserve(entry.target);
+            }
+        });
+    }, {
+        threshold: 0.06,
+        rootMargin: '0px 0px -40px 0px'
+    });
+
+    document.querySelectorAll('.reveal').forEach(el => observer.observe(el));
+
+    // ── Smooth anchor scrolling ──
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        anchor.addEventListener('click', e => {
+            const target = document.querySelector(anchor.getAttribute('href'));
+            if (target) {
+                e.preventDefault();
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+    });
+
+    // ── Escape closes mobile menu ──
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            document.querySelector('.mob-menu')?.classList.remove('open');
+        }
+    });
+
+    // ── Pause ticker on hover ──
+    const ticker = document.querySelector('.ticker');
+    if (ticker) {
+        ticker.addEventListener('mouseenter', () => ticker.style.animationPlayState = 'paused');
+        ticker.addEventListener('mouseleave', () => ticker.style.animationPlayState = 'running');
+    }
+
+    // ── Animated number counters ──
+    const numObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                const vals = entry.target.querySelectorAll('.num-val[data-target]');
+                vals.forEach(el => {
+                    const target = parseInt(el.dataset.target);
+                    const suffix = el.dataset.suffix || '';
+                    const duration = 1400;
+                    const start = performance.now();
+                    function tick(now) {
+                        const elapsed = now - start;
+                        const progress = Math.min(elapsed / duration, 1);
+                        const eased = 1 - Math.pow(1 - progress, 4); // easeOutQuart
+                        const current = Math.round(eased * target);
+                        el.textContent = current + suffix;
+                        if (progress < 1) requestAnimationFrame(tick);
+                    }
+                    requestAnimationFrame(tick);
+                });
+                numObserver.unobserve(entry.target);
+            }
+        });
+    }, { threshold: 0.3 });
+
+    const numGrid = document.querySelector('.numbers-grid');
+    if (numGrid) numObserver.observe(numGrid);
+
+    // ── Parallax mockup scroll ──
+    const windowEl = document.querySelector('.window');
+    const mockupSec = document.querySelector('.mockup-section');
+    const prefersRM = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (windowEl && mockupSec && window.innerWidth > 960 && !prefersRM) {
+        let pTick = false;
+        window.addEventListener('scroll', () => {
+            if (!pTick) {
+                requestAnimationFrame(() => {
+                    if (!windowEl.classList.contains('visible')) { pTick = false; return; }
+                    const rect = mockupSec.getBoundingClientRect();
+                    const vh = window.innerHeight;
+                    if (rect.top < vh && rect.bottom > 0) {
+                        const p = (vh - rect.top) / (vh + rect.height);
+                        windowEl.style.transform = `translateY(${(p - 0.5) * -24}px)`;
+                    }
+                    pTick = false;
+                });
+                pTick = true;
+            }
+        }, { passive: true });
+    }
+
+    // ── Platform detection: macOS / Linux get the waitlist, not an .exe ──
+    const waitlist = document.getElementById('waitlist');
+    const platformHint = (navigator.userAgentData?.platform || navigator.platform || '').toLowerCase();
+    const isHandheld = /android|iphone|ipad|ipod/i.test(navigator.userAgent) || navigator.maxTouchPoints > 1;
+    const platform = isHandheld || /win/.test(platformHint) ? null
+        : /mac/.test(platformHint) ? 'darwin'
+        : /linux|x11|cros/.test(platformHint) ? 'linux'
+        : null;
+
+    if (waitlist && platform) {
+        const platformName = { darwin: 'macOS', linux: 'Linux' }[platform];
+        waitlist.querySelectorAll('[data-platform-text]').forEach(el => {
+            el.textContent = el.dataset.platformText.replace(/\{platform\}/g, platformName);
+        });
+        document.querySelector('.hero-actions').style.display = 'none';
+        waitlist.hidden = false;
+        document.querySelectorAll('[data-download]').forEach(link => {
+            link.href = '#waitlist';
+            const label = link.querySelector('[data-download-label]') || link;
+            label.textContent = waitlist.dataset.navLabel;
+        });
+
+        const status = waitlist.querySelector('.waitlist-status');
+        waitlist.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = waitlist.querySelector('button');
+            button.disabled = true;
+            try {
+                const res = await fetch('/api/waitlist', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email: waitlist.email.value, platform, locale: document.documentElement.lang }),
+                });
+                status.classList.toggle('error', !res.ok);
+                status.textContent = res.ok ? waitlist.dataset.sent
+                    : res.status === 400 ? waitlist.dataset.invalid
+                    : waitlist.dataset.error;
+                if (res.ok) waitlist.querySelector('.waitlist-row').style.display = 'none';
+            } catch {
+                status.classList.add('error');
+                status.textContent = waitlist.dataset.error;
+            } finally {
+                button.disabled = false;
+            }
+        });
+    }
+
+    // ── Feature card spotlight ──
+    const fgEl = document.querySelector('.fg');
+    if (fgEl) {
+        fgEl.addEventListener('mousemove', (e) => {
+            fgEl.querySelectorAll('.fc').forEach(card => {
+                const r = card.getBoundingClientRect();
+                card.style.setProperty('--mx', (e.clientX - r.left) + 'px');
+                card.style.setProperty('--my', (e.clientY - r.top) + 'px');
+            });
+        });
+    }
+
+    // ── Prefers reduced motion ──
+    if (prefersRM) {
+        document.querySelectorAll('.hero-anim').forEach(el => {
+            el.style.animation = 'none';
+            el.style.opacity = '1';
+        });
+        document.querySelectorAll('.reveal').forEach(el => {
+            el.classList.add('visible');
+        });
+        if (ticker) ticker.style.animationPlayState = 'paused';
+    }
+})();
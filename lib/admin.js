@@ -0,0 +1,67 @@
+/**
+ * Operator access for /admin: the allow-list, CSRF tokens and the audit log.
+ *
+ * Admins are ordinary signed-in users whose email (ADMIN_EMAILS) or user ID
+ * (ADMIN_USER_IDS) is allow-listed. Every state-changing admin form carries
+ * a CSRF token bound to the admin's token family, and every action is
+ * appended to the audit log.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+const MAX_AUDIT_ENTRIES = 1000;
+
+const splitList = (value) => (value || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+const ADMIN_EMAILS = splitList(process.env.ADMIN_EMAILS);
+const ADMIN_USER_IDS = splitList(process.env.ADMIN_USER_IDS);
+
+// csrfSecret: HMAC key for CSRF tokens (shared by every instance via DATA_DIR)
+// audit: newest first — { at, actor: { id, email }, action, target, detail }
+const store = openStore('admin', { csrfSecret: null, audit: [] });
+
+function isAdmin(user) {
+    if (!user) return false;
+    return ADMIN_USER_IDS.includes(String(user.sub).toLowerCase())
+        || (!!user.email && ADMIN_EMAILS.includes(user.email.toLowerCase()));
+}
+
+function csrfSecret() {
+    const { csrfSecret: existing } = store.get();
+    if (existing) return existing;
+    return store.update((data) => {
+        data.csrfSecret = data.csrfSecret || crypto.randomBytes(32).toString('base64');
+        return data.csrfSecret;
+    });
+}
+
+/** CSRF token for an admin's session — valid until that token family ends */
+function csrfToken(user) {
+    return crypto.createHmac('sha256', csrfSecret()).update(`${user.sub}|${user.sid}`).digest('base64url');
+}
+
+function verifyCsrf(user, token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(csrfToken(user));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function audit(user, action, target, detail = null) {
+    store.update((data) => {
+        data.audit.unshift({
+            at: new Date().toISOString(),
+            actor: { id: user.sub, email: user.email || null },
+            action,
+            target,
+            detail,
+        });
+        data.audit.length = Math.min(data.audit.length, MAX_AUDIT_ENTRIES);
+    });
+}
+
+function auditLog(limit = 50) {
+    return store.get().audit.slice(0, limit);
+}
+
+module.exports = { isAdmin, csrfToken, verifyCsrf, audit, auditLog };
@@ -0,0 +1,187 @@
+/**
+ * Cookieless first-party analytics.
+ *
+ * Only daily aggregates are kept: page views per path, referrer domains,
+ * downloads per version/platform and a unique-visitor count. Visitors are
+ * counted with sha256(daily salt + IP + User-Agent); the salt is random,
+ * lives for one UTC day and is then discarded together with that day's
+ * hashes, so visitors can't be linked across days and IPs are never stored.
+ *
+ * Requests with Do Not Track or Global Privacy Control set, and obvious
+ * bots, are not recorded at all.
+ *
+ * Counts are buffered in memory and written every FLUSH_DELAY, never on the
+ * request path. Everything a client controls is bounded: referrer domains
+ * beyond MAX_REFERRERS a day are counted as "other", and past MAX_VISITORS
+ * hashes a day further visitors are no longer counted as unique.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const logger = require('./logger');
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|monitor|headless|curl|wget|python-requests|httpclient/i;
+const FLUSH_DELAY = 5000;
+const MAX_REFERRERS = 100;
+const MAX_VISITORS = 50000;
+const OTHER_REFERRERS = 'other';
+
+// days: 'YYYY-MM-DD' → { pageViews: { path: n }, referrers: { domain: n }, downloads: { version: { 'platform-arch': n } }, uniques }
+const store = openStore('analytics', { days: {} });
+// Today's salt and visitor hashes — replaced wholesale when the day changes
+const visitorStore = openStore('analytics_visitors', { date: null, salt: null, seen: {}, count: 0 });
+
+// Not yet written: increments per day, and visitor hashes first seen since the last flush
+let pending = {};
+let pendingVisitors = { date: null, ids: new Set() };
+let flushTimer = null;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/** Honour DNT / GPC and skip crawlers */
+function shouldTrack(req) {
+    if (req.get('DNT') === '1' || req.get('Sec-GPC') === '1') return false;
+    const ua = req.get('User-Agent') || '';
+    return ua.length > 0 && !BOT_PATTERN.test(ua);
+}
+
+function dayBucket(data, date) {
+    if (!data.days[date]) data.days[date] = { pageViews: {}, referrers: {}, downloads: {}, uniques: 0 };
+    return data.days[date];
+}
+
+/** Add `counts` into `into`; keys beyond `max` distinct ones go to OTHER_REFERRERS */
+function addCounts(into, counts, max = Infinity) {
+    for (const [key, n] of Object.entries(counts)) {
+        const bucket = key in into || Object.keys(into).length < max ? key : OTHER_REFERRERS;
+        into[bucket] = (into[bucket] || 0) + n;
+    }
+}
+
+/** Write everything buffered since the last flush */
+function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const batch = pending;
+    const visitors = pendingVisitors;
+    pending = {};
+    pendingVisitors = { date: visitors.date, ids: new Set() };
+    try {
+        if (visitors.ids.size) {
+            visitorStore.update((data) => {
+                if (data.date !== visitors.date) return;
+                for (const id of visitors.ids) data.seen[id] = 1;
+                data.count = Object.keys(data.seen).length;
+            });
+        }
+        if (!Object.keys(batch).length) return;
+        store.update((data) => {
+            for (const [date, counts] of Object.entries(batch)) {
+                const day = dayBucket(data, date);
+                addCounts(day.pageViews, counts.pageViews);
+                addCounts(day.referrers, counts.referrers, MAX_REFERRERS);
+                for (const [version, byTarget] of Object.entries(counts.downloads)) {
+                    addCounts(day.downloads[version] || (day.downloads[version] = {}), byTarget);
+                }
+                day.uniques += counts.uniques;
+            }
+        });
+    } catch (err) {
+        logger.error('Could not write analytics', { err });
+    }
+}
+
+/** The in-memory bucket for `date`; a write is scheduled for it */
+function pendingDay(date) {
+    if (!flushTimer) {
+        flushTimer = setTimeout(flush, FLUSH_DELAY);
+        flushTimer.unref();
+    }
+    return pending[date] || (pending[date] = { pageViews: {}, referrers: {}, downloads: {}, uniques: 0 });
+}
+
+// Scripts and local runs exit without waiting for the timer
+process.on('beforeExit', flush);
+
+/** True the first time today this visitor is seen (until the day's cap) */
+function isNewVisitor(req, date) {
+    let { date: saltDate, salt, seen, count } = visitorStore.get();
+    if (saltDate !== date) {
+        salt = crypto.randomBytes(32).toString('base64');
+        seen = {};
+        count = 0;
+        visitorStore.update((data) => Object.assign(data, { date, salt, seen, count }));
+    }
+    if (pendingVisitors.date !== date) pendingVisitors = { date, ids: new Set() };
+    const id = crypto.createHash('sha256')
+        .update(`${salt}|${req.ip}|${req.get('User-Agent') || ''}`)
+        .digest('base64url')
+        .slice(0, 16);
+    if (seen[id] || pendingVisitors.ids.has(id)) return false;
+    if ((count || 0) + pendingVisitors.ids.size >= MAX_VISITORS) return false;
+    pendingVisitors.ids.add(id);
+    return true;
+}
+
+/** External referrer's domain (www. stripped), or null for direct / internal */
+function referrerDomain(req, ownHost) {
+    const referer = req.get('Referer');
+    if (!referer) return null;
+    try {
+        const host = new URL(referer).hostname.replace(/^www\./, '');
+        return host && host !== ownHost.replace(/^www\./, '') ? host : null;
+    } catch {
+        return null;
+    }
+}
+
+function recordPageView(req, page, ownHost) {
+    if (!shouldTrack(req)) return;
+    const date = today();
+    const isNew = isNewVisitor(req, date);
+    const referrer = referrerDomain(req, ownHost);
+    const day = pendingDay(date);
+    addCounts(day.pageViews, { [page]: 1 });
+    if (referrer) addCounts(day.referrers, { [referrer]: 1 }, MAX_REFERRERS);
+    if (isNew) day.uniques += 1;
+}
+
+function recordDownload(req, { version, platform, arch }) {
+    if (!shouldTrack(req)) return;
+    const day = pendingDay(today());
+    addCounts(day.downloads[version] || (day.downloads[version] = {}), { [`${platform}-${arch}`]: 1 });
+}
+
+/** Aggregates between two dates (inclusive), per day plus totals */
+function query({ from, to } = {}) {
+    flush();
+    const days = Object.entries(store.get().days)
+        .filter(([date]) => (!from || date >= from) && (!to || date <= to))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    const sum = (into, counts) => {
+        for (const [key, n] of Object.entries(counts)) into[key] = (into[key] || 0) + n;
+        return into;
+    };
+    const totals = { pageViews: 0, uniques: 0, downloads: 0, pages: {}, referrers: {}, downloadsByVersion: {} };
+    for (const [, day] of days) {
+        const views = Object.values(day.pageViews).reduce((a, b) => a + b, 0);
+        totals.pageViews += views;
+        totals.uniques += day.uniques;
+        sum(totals.pages, day.pageViews);
+        sum(totals.referrers, day.referrers);
+        for (const [version, byTarget] of Object.entries(day.downloads)) {
+            totals.downloadsByVersion[version] = sum(totals.downloadsByVersion[version] || {}, byTarget);
+            totals.downloads += Object.values(byTarget).reduce((a, b) => a + b, 0);
+        }
+    }
+
+    return {
+        from: from || days[0]?.[0] || null,
+        to: to || days[days.length - 1]?.[0] || null,
+        totals,
+        days: days.map(([date, day]) => ({ date, ...day })),
+    };
+}
+
+module.exports = { shouldTrack, recordPageView, recordDownload, query };
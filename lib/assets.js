@@ -0,0 +1,200 @@
+/**
+ * Landing page assets: the stylesheet, script and icon sprite, served from
+ * content-hashed URLs under /assets/.
+ *
+ * Sources live in assets/ — landing.css, landing.js and the vendored brand
+ * icons in assets/icons/ (scripts/vendor-icons.js). They're minified with
+ * esbuild, named after a hash of their content and precompressed with brotli
+ * and gzip, so every response can be cached forever and a deploy that
+ * changes a file changes its URL.
+ *
+ * `npm run build:assets` writes all of that to dist/assets/ ahead of time.
+ * When the build is missing or older than the sources (e.g. in development)
+ * the same work happens in memory at startup instead.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const esbuild = require('esbuild');
+const logger = require('./logger');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'assets');
+const ICON_DIR = path.join(SOURCE_DIR, 'icons');
+const BUILD_DIR = path.join(__dirname, '..', 'dist', 'assets');
+const MANIFEST = path.join(BUILD_DIR, 'manifest.json');
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.svg': 'image/svg+xml',
+};
+// Precompressed variants, in order of preference
+const ENCODINGS = { br: '.br', gzip: '.gz' };
+
+const hashOf = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+function iconFiles() {
+    return fs.readdirSync(ICON_DIR).filter((file) => file.endsWith('.svg')).sort();
+}
+
+/** Every source, by logical name; the sprite's are the icon files */
+function readSources() {
+    return {
+        'landing.css': fs.readFileSync(path.join(SOURCE_DIR, 'landing.css'), 'utf8'),
+        'landing.js': fs.readFileSync(path.join(SOURCE_DIR, 'landing.js'), 'utf8'),
+        'icons.svg': iconFiles().map((file) => [file, fs.readFileSync(path.join(ICON_DIR, file), 'utf8')]),
+    };
+}
+
+/** One <symbol> per icon, referenced as icons.svg#<slug> and coloured by `fill` at the use site */
+function buildSprite(icons) {
+    const symbols = icons.map(([file, svg]) => {
+        const viewBox = /viewBox="([^"]+)"/.exec(svg)?.[1];
+        const paths = svg.match(/<path\b[^>]*\/>/g);
+        if (!viewBox || !paths) throw new Error(`assets/icons/${file} has no viewBox or <path>`);
+        return `<symbol id="${path.basename(file, '.svg')}" viewBox="${viewBox}">${paths.join('')}</symbol>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg">${symbols.join('')}</svg>`;
+}
+
+function compileSources(sources) {
+    return {
+        'landing.css': esbuild.transformSync(sources['landing.css'], { loader: 'css', minify: true }).code,
+        'landing.js': esbuild.transformSync(sources['landing.js'], { loader: 'js', minify: true }).code,
+        'icons.svg': buildSprite(sources['icons.svg']),
+    };
+}
+
+/** `landing.css` → `landing.<hash>.css` */
+function hashedName(name, content) {
+    const ext = path.extname(name);
+    return `${path.basename(name, ext)}.${hashOf(content).slice(0, 10)}${ext}`;
+}
+
+function compress(body) {
+    return {
+        br: zlib.brotliCompressSync(body, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length,
+            },
+        }),
+        gzip: zlib.gzipSync(body, { level: zlib.constants.Z_BEST_COMPRESSION }),
+    };
+}
+
+/**
+ * Compile everything. Returns { sourceHash, files } where files maps each
+ * hashed file name to { name, type, body, br, gzip }.
+ */
+function build(sources = readSources()) {
+    const files = {};
+    for (const [name, code] of Object.entries(compileSources(sources))) {
+        const body = Buffer.from(code);
+        const file = hashedName(name, body);
+        files[file] = { name, type: TYPES[path.extname(name)], body, ...compress(body) };
+    }
+    return { sourceHash: hashOf(JSON.stringify(sources)), files };
+}
+
+/** Write a build to dist/assets/ with its manifest; returns the manifest */
+function writeBuild({ sourceHash, files }, dir = BUILD_DIR) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    const manifest = { sourceHash, files: {} };
+    for (const [file, { name, body, br, gzip }] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), body);
+        fs.writeFileSync(path.join(dir, file + ENCODINGS.br), br);
+        fs.writeFileSync(path.join(dir, file + ENCODINGS.gzip), gzip);
+        manifest.files[name] = file;
+    }
+    fs.writeFileSync(path.join(dir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifest;
+}
+
+/** The prebuilt files, or null when there's no build for the current sources */
+function readBuild(sources) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+    } catch {
+        return null;
+    }
+    if (manifest.sourceHash !== hashOf(JSON.stringify(sources))) return null;
+    const files = {};
+    for (const [name, file] of Object.entries(manifest.files)) {
+        const read = (suffix = '') => fs.readFileSync(path.join(BUILD_DIR, file + suffix));
+        files[file] = { name, type: TYPES[path.extname(name)], body: read(), br: read(ENCODINGS.br), gzip: read(ENCODINGS.gzip) };
+    }
+    return { sourceHash: manifest.sourceHash, files };
+}
+
+function load() {
+    const sources = readSources();
+    const prebuilt = readBuild(sources);
+    if (prebuilt) return prebuilt;
+    const started = Date.now();
+    const compiled = build(sources);
+    logger.info('Compiled landing assets at startup — run npm run build:assets to precompile them',
+        { durationMs: Date.now() - started });
+    return compiled;
+}
+
+// Loaded on first use, so the build script doesn't compile everything twice
+let loaded = null;
+function files() {
+    loaded ||= load();
+    return loaded.files;
+}
+
+/** The current URL of an asset by its source name, e.g. url('landing.css') */
+function url(name) {
+    const file = Object.keys(files()).find((f) => files()[f].name === name);
+    if (!file) throw new Error(`Unknown asset: ${name}`);
+    return `/assets/${file}`;
+}
+
+/** Whether the sprite has a symbol for this simple-icons slug */
+function hasIcon(slug) {
+    return fs.existsSync(path.join(ICON_DIR, `${path.basename(slug)}.svg`));
+}
+
+/**
+ * The encoding Accept-Encoding weighs highest (q=0 refuses one), or null.
+ * Ties go to brotli — browsers list gzip first but send br at the same weight.
+ */
+function pickEncoding(header = '') {
+    const weights = new Map(header.split(',').map((part) => {
+        const [coding, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map((param) => /^\s*q=([\d.]+)/.exec(param)).find(Boolean);
+        return [coding.trim(), q ? parseFloat(q[1]) : 1];
+    }));
+    let best = null;
+    let bestWeight = 0;
+    for (const coding of Object.keys(ENCODINGS)) {
+        const weight = weights.get(coding) ?? weights.get('*') ?? 0;
+        if (weight > bestWeight) {
+            best = coding;
+            bestWeight = weight;
+        }
+    }
+    // …unless the client weighs uncompressed bytes higher still
+    return bestWeight >= (weights.get('identity') ?? 0) ? best : null;
+}
+
+/** Handler for /assets/:file — precompressed when the client allows, cached for a year */
+function serve(req, res, next) {
+    const asset = Object.hasOwn(files(), req.params.file) && files()[req.params.file];
+    if (!asset) return next();
+    const encoding = pickEncoding(req.get('Accept-Encoding'));
+    res.set({ 'Cache-Control': CACHE_CONTROL, Vary: 'Accept-Encoding' });
+    res.type(asset.type);
+    if (encoding) res.set('Content-Encoding', encoding);
+    res.send(encoding ? asset[encoding] : asset.body);
+}
+
+module.exports = { build, writeBuild, url, hasIcon, serve };
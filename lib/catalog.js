@@ -0,0 +1,98 @@
+/**
+ * Browser and website recognition catalog — content/catalog.json.
+ *
+ * The desktop app pulls it from /api/catalog to learn which processes are
+ * browsers and which window titles belong to which site, so recognition can
+ * improve without a new release. The landing page ticker and counters are
+ * generated from the same file.
+ *
+ * Browsers: `processes` lists executable names per platform. Several browsers
+ * share an executable (Chrome Beta, Chromium, Tor's firefox.exe…); those carry
+ * `pathHints`, substrings of the install path, and the most specific match
+ * wins. Sites: `titlePatterns` are case-insensitive regular expressions tested
+ * against the page title, with the browser's own suffix already removed.
+ *
+ * Bump `version` whenever the rules change; clients should treat it as
+ * monotonic and keep their cached copy when it goes backwards.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG = path.join(__dirname, '..', 'content', 'catalog.json');
+const PLATFORMS = ['win32', 'darwin', 'linux'];
+const CATEGORIES = [
+    'development', 'communication', 'productivity', 'design', 'ai',
+    'entertainment', 'social', 'news', 'reference', 'education', 'shopping',
+];
+const ICON_TYPES = ['simpleicons', 'svg', 'letter'];
+
+function validateBrowser(browser) {
+    if (!/^[a-z0-9-]+$/.test(browser.id || '') || !browser.name) {
+        throw new Error(`Catalog browser needs an id and a name: ${JSON.stringify(browser)}`);
+    }
+    if (!ICON_TYPES.includes(browser.icon?.type)) {
+        throw new Error(`Catalog browser ${browser.id} has an unknown icon type`);
+    }
+    const platforms = Object.keys(browser.processes || {});
+    if (!platforms.length || platforms.some((p) => !PLATFORMS.includes(p) || !browser.processes[p].length)) {
+        throw new Error(`Catalog browser ${browser.id} needs process names per known platform`);
+    }
+}
+
+function validateSite(site) {
+    if (!/^[a-z0-9-]+$/.test(site.id || '') || !site.site) {
+        throw new Error(`Catalog site needs an id and a name: ${JSON.stringify(site)}`);
+    }
+    if (!CATEGORIES.includes(site.category)) {
+        throw new Error(`Catalog site ${site.id} has unknown category: ${site.category}`);
+    }
+    if (!site.titlePatterns?.length) throw new Error(`Catalog site ${site.id} has no title patterns`);
+    for (const pattern of site.titlePatterns) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (err) {
+            throw new Error(`Catalog site ${site.id}: ${err.message}`);
+        }
+    }
+}
+
+function load() {
+    const raw = fs.readFileSync(CATALOG, 'utf8');
+    const data = JSON.parse(raw);
+    if (!Number.isInteger(data.version) || data.version < 1) throw new Error('Catalog version must be a positive integer');
+    data.browsers.forEach(validateBrowser);
+    data.sites.forEach(validateSite);
+    for (const [kind, list] of [['browser', data.browsers], ['site', data.sites]]) {
+        const seen = new Set();
+        for (const { id } of list) {
+            if (seen.has(id)) throw new Error(`Duplicate catalog ${kind} id: ${id}`);
+            seen.add(id);
+        }
+    }
+    const body = JSON.stringify(data);
+    return {
+        data,
+        body,
+        etag: `"${data.version}-${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 16)}"`,
+    };
+}
+
+const catalog = load();
+
+/** The catalog as served by /api/catalog, with its serialized body and ETag */
+function current() {
+    return catalog;
+}
+
+/** Browsers shown in the landing page ticker, in file order */
+function tickerBrowsers() {
+    return catalog.data.browsers.filter((b) => b.ticker);
+}
+
+function counts() {
+    return { browsers: catalog.data.browsers.length, sites: catalog.data.sites.length };
+}
+
+module.exports = { PLATFORMS, CATEGORIES, current, tickerBrowsers, counts };
@@ -0,0 +1,156 @@
+/**
+ * Markdown-backed changelog and blog.
+ *
+ * Entries live in content/changelog/*.md and content/blog/*.md, each with a
+ * front matter block:
+ *
+ *     ---
+ *     title: Deskly 1.1
+ *     date: 2026-03-01
+ *     version: 1.1.0        # changelog only (required there)
+ *     tags: [reports, fixes]
+ *     summary: One line for listings and feeds
+ *     draft: true           # hidden from the public pages, feeds and API
+ *     ---
+ *
+ * The file name (minus .md) is the entry's slug. Content is loaded once at
+ * startup, like the release registry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { compareVersions } = require('./releases');
+
+const CONTENT_DIR = path.join(__dirname, '..', 'content');
+const COLLECTIONS = ['changelog', 'blog'];
+
+/** Minimal front matter: `key: value`, `[a, b]` lists, booleans, quoted strings */
+function parseFrontMatter(source, file) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+    if (!match) throw new Error(`${file}: missing front matter`);
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const kv = /^([A-Za-z_]+):\s*(.*?)\s*(?:#.*)?$/.exec(line);
+        if (!kv) continue;
+        const [, key, raw] = kv;
+        const unquote = (v) => v.replace(/^(['"])(.*)\1$/, '$2');
+        if (/^\[.*\]$/.test(raw)) {
+            meta[key] = raw.slice(1, -1).split(',').map((v) => unquote(v.trim())).filter(Boolean);
+        } else if (raw === 'true' || raw === 'false') {
+            meta[key] = raw === 'true';
+        } else {
+            meta[key] = unquote(raw);
+        }
+    }
+    return { meta, body: source.slice(match[0].length) };
+}
+
+/** Rendered HTML back to plain text (for generated summaries) */
+function plainText(html) {
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+    return html.replace(/<[^>]+>/g, '').replace(/&(amp|lt|gt|quot|#39);/g, (e) => entities[e]).trim();
+}
+
+function loadEntry(collection, file) {
+    const { meta, body } = parseFrontMatter(fs.readFileSync(file, 'utf8'), file);
+    const slug = path.basename(file, '.md');
+    if (!meta.title) throw new Error(`${file}: title is required`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(meta.date || '')) throw new Error(`${file}: date must be YYYY-MM-DD`);
+    if (collection === 'changelog' && !/^\d+\.\d+\.\d+(-[0-9A-Za-z.]+)?$/.test(meta.version || '')) {
+        throw new Error(`${file}: changelog entries need a semver version`);
+    }
+
+    const html = marked.parse(body);
+    const firstParagraph = /<p>([\s\S]*?)<\/p>/.exec(html);
+    return {
+        collection,
+        slug,
+        title: meta.title,
+        date: meta.date,
+        version: meta.version || null,
+        tags: Array.isArray(meta.tags) ? meta.tags : meta.tags ? [meta.tags] : [],
+        summary: meta.summary || (firstParagraph ? plainText(firstParagraph[1]) : ''),
+        draft: meta.draft === true,
+        markdown: body.trim(),
+        html,
+    };
+}
+
+function load(collection) {
+    const dir = path.join(CONTENT_DIR, collection);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter((f) => f.endsWith('.md'))
+        .map((f) => loadEntry(collection, path.join(dir, f)))
+        .sort((a, b) => (collection === 'changelog'
+            ? compareVersions(b.version, a.version)
+            : b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug)));
+}
+
+const entries = Object.fromEntries(COLLECTIONS.map((c) => [c, load(c)]));
+
+/** Entries newest first; drafts only when asked for (admin preview) */
+function list(collection, { drafts = false, tag } = {}) {
+    return entries[collection]
+        .filter((e) => (drafts || !e.draft) && (!tag || e.tags.includes(tag)));
+}
+
+function get(collection, slug, { drafts = false } = {}) {
+    return list(collection, { drafts }).find((e) => e.slug === slug) || null;
+}
+
+/** Published changelog entries newer than the given app version */
+function changesSince(version) {
+    return list('changelog').filter((e) => !version || compareVersions(e.version, version) > 0);
+}
+
+// ─── Feeds ─────────────────────────────────────────────────────────────────────
+
+const xmlEscape = (s) => String(s).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+const cdata = (s) => `<![CDATA[${String(s).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/** RSS 2.0 feed; `link(entry)` gives each entry's absolute URL */
+function rss({ title, description, siteUrl, feedUrl }, items, link) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+    <title>${xmlEscape(title)}</title>
+    <link>${xmlEscape(siteUrl)}</link>
+    <description>${xmlEscape(description)}</description>
+    <atom:link href="${xmlEscape(feedUrl)}" rel="self" type="application/rss+xml" />
+${items.map((e) => `    <item>
+        <title>${xmlEscape(e.title)}</title>
+        <link>${xmlEscape(link(e))}</link>
+        <guid isPermaLink="true">${xmlEscape(link(e))}</guid>
+        <pubDate>${new Date(`${e.date}T00:00:00Z`).toUTCString()}</pubDate>
+${e.tags.map((t) => `        <category>${xmlEscape(t)}</category>\n`).join('')}        <description>${cdata(e.html)}</description>
+    </item>`).join('\n')}
+</channel>
+</rss>
+`;
+}
+
+function atom({ title, siteUrl, feedUrl }, items, link) {
+    const updated = items.length ? `${items.map((e) => e.date).sort().pop()}T00:00:00Z` : new Date().toISOString();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${xmlEscape(title)}</title>
+    <id>${xmlEscape(feedUrl)}</id>
+    <link href="${xmlEscape(siteUrl)}" />
+    <link href="${xmlEscape(feedUrl)}" rel="self" />
+    <updated>${updated}</updated>
+    <author><name>Deskly</name></author>
+${items.map((e) => `    <entry>
+        <title>${xmlEscape(e.title)}</title>
+        <id>${xmlEscape(link(e))}</id>
+        <link href="${xmlEscape(link(e))}" />
+        <updated>${e.date}T00:00:00Z</updated>
+${e.tags.map((t) => `        <category term="${xmlEscape(t)}" />\n`).join('')}        <summary>${xmlEscape(e.summary)}</summary>
+        <content type="html">${xmlEscape(e.html)}</content>
+    </entry>`).join('\n')}
+</feed>
+`;
+}
+
+module.exports = { COLLECTIONS, list, get, changesSince, rss, atom };
@@ -0,0 +1,177 @@
+/**
+ * Desktop crash reports, uploaded by Electron's crashReporter (Crashpad).
+ *
+ * Each report keeps the build it came from (version, platform, process type)
+ * and a signature — process type, exception and crashing module+offset — so
+ * the same crash from a thousand installs reads as one group. The install's
+ * Crashpad GUID is only kept hashed, to count affected installs.
+ *
+ * Retention: dumps are the heavy part and only the newest few of a group are
+ * ever looked at, so they go after CRASH_DUMP_RETENTION_DAYS or once a group
+ * has MAX_DUMPS_PER_GROUP newer ones. The metadata behind the counts stays
+ * for REPORT_RETENTION_DAYS.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openStore, DATA_DIR } = require('./store');
+const { shortText } = require('./text');
+const releases = require('./releases');
+const minidump = require('./minidump');
+
+const MAX_DUMP_SIZE = 5 * 1024 * 1024;
+const DUMP_RETENTION_DAYS = parseInt(process.env.CRASH_DUMP_RETENTION_DAYS, 10) || 30;
+const REPORT_RETENTION_DAYS = 180;
+const MAX_DUMPS_PER_GROUP = 10;
+const DAY = 24 * 60 * 60 * 1000;
+
+const DUMP_DIR = path.join(DATA_DIR, 'crashes');
+
+// reports: id → { id, signature, version, platform, processType, electronVersion,
+//                 install (hashed GUID), exception: { code, name, address } | null,
+//                 module, offset, dumpSize, hasDump, receivedAt }
+const store = openStore('crashes', { reports: {} });
+
+const dumpPath = (id) => path.join(DUMP_DIR, `${id}.dmp`);
+
+function signatureOf({ processType, exception, module, offset }) {
+    const where = module ? `${module}+${offset}` : exception?.address || 'unknown';
+    const key = [processType, exception?.code || 'no-exception', where].join('|');
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function dropDump(report) {
+    fs.rmSync(dumpPath(report.id), { force: true });
+    report.hasDump = false;
+}
+
+function applyRetention(data) {
+    const now = Date.now();
+    const kept = {};
+    const newestFirst = Object.values(data.reports).sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+    for (const report of newestFirst) {
+        const age = now - Date.parse(report.receivedAt);
+        if (age > REPORT_RETENTION_DAYS * DAY) {
+            dropDump(report);
+            delete data.reports[report.id];
+            continue;
+        }
+        if (!report.hasDump) continue;
+        kept[report.signature] = (kept[report.signature] || 0) + 1;
+        if (age > DUMP_RETENTION_DAYS * DAY || kept[report.signature] > MAX_DUMPS_PER_GROUP) dropDump(report);
+    }
+}
+
+/**
+ * Store one upload. `fields` are crashReporter's form fields, `file` the
+ * `upload_file_minidump` part. Returns { report } or { error, status }.
+ */
+function ingest(fields, file) {
+    const version = shortText(fields._version, 40);
+    if (!version) return { error: '_version is required', status: 400 };
+    if (!releases.PLATFORMS.includes(fields.platform)) {
+        return { error: `platform must be one of ${releases.PLATFORMS.join(', ')}`, status: 400 };
+    }
+    if (!file) return { error: 'upload_file_minidump is required', status: 400 };
+    const parsed = minidump.parse(file.data, fields.platform);
+    if (!parsed) return { error: 'upload_file_minidump is not a minidump', status: 400 };
+
+    const report = {
+        id: crypto.randomUUID(),
+        version,
+        platform: fields.platform,
+        processType: shortText(fields.process_type, 40) || 'unknown',
+        electronVersion: shortText(fields.ver, 40),
+        install: fields.guid ? crypto.createHash('sha256').update(String(fields.guid)).digest('hex').slice(0, 16) : null,
+        ...parsed,
+        dumpSize: file.size,
+        hasDump: true,
+        receivedAt: new Date().toISOString(),
+    };
+    report.signature = signatureOf(report);
+
+    fs.mkdirSync(DUMP_DIR, { recursive: true });
+    fs.writeFileSync(dumpPath(report.id), file.data);
+    store.update((data) => {
+        data.reports[report.id] = report;
+        applyRetention(data);
+    });
+    return { report };
+}
+
+function get(id) {
+    return store.get().reports[id] || null;
+}
+
+/** The stored minidump of a report, or null once retention removed it */
+function dump(report) {
+    const file = dumpPath(report.id);
+    return report.hasDump && fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+/**
+ * Counts for the admin console.
+ *   releases: per version, newest first — crashes, affected installs, the
+ *             last 7 days and the most common signature
+ *   groups:   per signature, most frequent first, with the newest report
+ *             that still has its dump
+ */
+function summary({ groupLimit = 25 } = {}) {
+    const weekAgo = new Date(Date.now() - 7 * DAY).toISOString();
+    const byVersion = new Map();
+    const bySignature = new Map();
+    const reports = Object.values(store.get().reports).sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+    for (const r of reports) {
+        const release = byVersion.get(r.version)
+            || { version: r.version, crashes: 0, lastWeek: 0, installs: new Set(), signatures: {} };
+        release.crashes++;
+        if (r.receivedAt >= weekAgo) release.lastWeek++;
+        if (r.install) release.installs.add(r.install);
+        release.signatures[r.signature] = (release.signatures[r.signature] || 0) + 1;
+        byVersion.set(r.version, release);
+
+        const group = bySignature.get(r.signature) || {
+            signature: r.signature,
+            processType: r.processType,
+            exception: r.exception,
+            location: r.module ? `${r.module}+${r.offset}` : null,
+            count: 0,
+            installs: new Set(),
+            platforms: new Set(),
+            versions: new Set(),
+            firstSeen: r.receivedAt,
+            lastSeen: r.receivedAt,
+            sample: null,
+        };
+        group.count++;
+        if (r.install) group.installs.add(r.install);
+        group.platforms.add(r.platform);
+        group.versions.add(r.version);
+        group.firstSeen = r.receivedAt;
+        if (!group.sample && r.hasDump) group.sample = r.id;
+        bySignature.set(r.signature, group);
+    }
+
+    return {
+        releases: [...byVersion.values()]
+            .sort((a, b) => releases.compareVersions(b.version, a.version))
+            .map(({ installs, signatures, ...release }) => ({
+                ...release,
+                installs: installs.size,
+                topSignature: Object.entries(signatures).sort((a, b) => b[1] - a[1])[0][0],
+            })),
+        groups: [...bySignature.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, groupLimit)
+            .map((group) => ({
+                ...group,
+                installs: group.installs.size,
+                platforms: [...group.platforms],
+                versions: [...group.versions].sort(releases.compareVersions),
+            })),
+    };
+}
+
+module.exports = { MAX_DUMP_SIZE, DUMP_RETENTION_DAYS, ingest, get, dump, summary };
@@ -0,0 +1,113 @@
+/**
+ * Content-Security-Policy helpers: per-request nonces and the violation
+ * report collector behind /csp-report.
+ *
+ * Reports arrive in two shapes — the legacy `report-uri` body
+ * ({ "csp-report": {…} }) and Reporting API batches ([{ type, body }]).
+ * Both are normalised, stripped of query strings, and deduplicated by
+ * signature so a noisy page can't flood the store. The most frequent ones
+ * are listed in the /admin console.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const logger = require('./logger');
+
+const MAX_SIGNATURES = 500;
+
+// reports: signature → { directive, blocked, document, source, line, disposition, count, firstSeen, lastSeen }
+const store = openStore('csp_reports', { reports: {} });
+
+/** Give every response a fresh nonce for its inline <script>/<style> blocks */
+function nonceMiddleware(req, res, next) {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+}
+
+/** CSP source expression for helmet directives */
+function nonceSource(req, res) {
+    return `'nonce-${res.locals.cspNonce}'`;
+}
+
+/** Drop query strings and fragments — they can carry codes or tokens */
+function stripUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+    try {
+        const url = new URL(value);
+        return `${url.origin}${url.pathname}`;
+    } catch {
+        return value.slice(0, 200); // 'inline', 'eval', 'data', …
+    }
+}
+
+function normalise(report) {
+    const legacy = report['csp-report'];
+    if (legacy) {
+        return {
+            directive: legacy['effective-directive'] || legacy['violated-directive'] || null,
+            blocked: stripUrl(legacy['blocked-uri']),
+            document: stripUrl(legacy['document-uri']),
+            source: stripUrl(legacy['source-file']),
+            line: Number(legacy['line-number']) || null,
+            disposition: legacy.disposition || null,
+        };
+    }
+    if (report.type === 'csp-violation' && report.body) {
+        const body = report.body;
+        return {
+            directive: body.effectiveDirective || null,
+            blocked: stripUrl(body.blockedURL),
+            document: stripUrl(body.documentURL || report.url),
+            source: stripUrl(body.sourceFile),
+            line: Number(body.lineNumber) || null,
+            disposition: body.disposition || null,
+        };
+    }
+    return null;
+}
+
+/** Record one or more raw reports; returns how many were accepted */
+function recordReports(payload) {
+    const batch = (Array.isArray(payload) ? payload : [payload])
+        .slice(0, 20)
+        .map((r) => (r && typeof r === 'object' ? normalise(r) : null))
+        .filter((r) => r && r.directive);
+    if (batch.length === 0) return 0;
+
+    store.update((data) => {
+        const now = new Date().toISOString();
+        for (const report of batch) {
+            const signature = crypto.createHash('sha256')
+                .update([report.directive, report.blocked, report.document, report.source, report.line].join('|'))
+                .digest('base64url')
+                .slice(0, 22);
+            const existing = data.reports[signature];
+            if (existing) {
+                existing.count += 1;
+                existing.lastSeen = now;
+                continue;
+            }
+            logger.warn('CSP violation', report);
+            data.reports[signature] = { ...report, count: 1, firstSeen: now, lastSeen: now };
+        }
+
+        // Keep the store bounded — forget the least recently seen signatures
+        const entries = Object.entries(data.reports);
+        if (entries.length > MAX_SIGNATURES) {
+            entries
+                .sort((a, b) => a[1].lastSeen.localeCompare(b[1].lastSeen))
+                .slice(0, entries.length - MAX_SIGNATURES)
+                .forEach(([signature]) => delete data.reports[signature]);
+        }
+    });
+    return batch.length;
+}
+
+/** Distinct violations, most frequent first (for /admin) */
+function listReports() {
+    return Object.entries(store.get().reports)
+        .map(([signature, report]) => ({ signature, ...report }))
+        .sort((a, b) => b.count - a.count);
+}
+
+module.exports = { nonceMiddleware, nonceSource, recordReports, listReports };
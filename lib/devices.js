@@ -0,0 +1,123 @@
+/**
+ * Signed-in desktop devices.
+ *
+ * A device record is created (or refreshed) each time the desktop app
+ * finishes sign-in, and is tied to that sign-in's token family. Revoking a
+ * device revokes the family, so its access and refresh tokens stop working.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+const TOUCH_INTERVAL = 60 * 1000; // don't rewrite lastSeen more than once a minute
+
+// devices: id → { id, userId, deviceId, name, platform, family, firstSeen, lastSeen, revokedAt }
+const store = openStore('devices', { devices: {} });
+
+/** Trim and bound what the desktop app tells us about itself */
+function cleanDeviceInfo({ device_id, device_name, platform } = {}) {
+    const clip = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+    return {
+        deviceId: clip(device_id, 128),
+        name: clip(device_name, 80),
+        platform: clip(platform, 32),
+    };
+}
+
+/** Record a completed desktop sign-in and bind the device to its token family */
+function recordSignIn(userId, info, family) {
+    if (!info?.deviceId) return null;
+    return store.update((data) => {
+        const now = new Date().toISOString();
+        let device = Object.values(data.devices).find((d) => d.userId === userId && d.deviceId === info.deviceId);
+        if (!device) {
+            device = { id: crypto.randomUUID(), userId, deviceId: info.deviceId, firstSeen: now };
+            data.devices[device.id] = device;
+        }
+        Object.assign(device, {
+            name: info.name || device.name || 'Deskly desktop',
+            platform: info.platform || device.platform || null,
+            family,
+            lastSeen: now,
+            revokedAt: null,
+        });
+        return device;
+    });
+}
+
+/** Bump lastSeen for the device behind a token family (called from /api/me) */
+function touch(family) {
+    if (!family) return;
+    const device = Object.values(store.get().devices).find((d) => d.family === family && !d.revokedAt);
+    if (!device || Date.now() - Date.parse(device.lastSeen) < TOUCH_INTERVAL) return;
+    store.update((data) => {
+        data.devices[device.id].lastSeen = new Date().toISOString();
+    });
+}
+
+/** Active devices for a user, most recently used first */
+function listForUser(userId) {
+    return Object.values(store.get().devices)
+        .filter((d) => d.userId === userId && !d.revokedAt)
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/** Every active device, most recently used first (admin console) */
+function listActive(limit = 100) {
+    return Object.values(store.get().devices)
+        .filter((d) => !d.revokedAt)
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+        .slice(0, limit);
+}
+
+function get(id) {
+    return store.get().devices[id] || null;
+}
+
+/** Mark one of the user's devices revoked; returns it (with its family) or null */
+function revoke(userId, id) {
+    return store.update((data) => {
+        const device = data.devices[id];
+        if (!device || device.userId !== userId || device.revokedAt) return null;
+        device.revokedAt = new Date().toISOString();
+        return device;
+    });
+}
+
+/** Mark every device of a user revoked */
+function revokeAll(userId) {
+    store.update((data) => {
+        const now = new Date().toISOString();
+        for (const device of Object.values(data.devices)) {
+            if (device.userId === userId && !device.revokedAt) device.revokedAt = now;
+        }
+    });
+}
+
+/** Every device record for a user, revoked ones included (account export) */
+function exportForUser(userId) {
+    return Object.values(store.get().devices)
+        .filter((d) => d.userId === userId)
+        .map(({ family, ...device }) => device);
+}
+
+function deleteForUser(userId) {
+    store.update((data) => {
+        for (const [id, device] of Object.entries(data.devices)) {
+            if (device.userId === userId) delete data.devices[id];
+        }
+    });
+}
+
+module.exports = {
+    cleanDeviceInfo,
+    recordSignIn,
+    touch,
+    listForUser,
+    listActive,
+    get,
+    revoke,
+    revokeAll,
+    exportForUser,
+    deleteForUser,
+};
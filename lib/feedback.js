@@ -0,0 +1,195 @@
+/**
+ * Feedback and bug reports, from the /feedback page and the desktop app.
+ *
+ * A report is a message plus whatever context the sender chose to give: app
+ * version, OS, a reply address and one diagnostics bundle. The app redacts
+ * its logs before uploading; we still only accept a few archive/text types
+ * and never serve an attachment inline. Reports stay until they're closed
+ * and the sender's account (if any) is deleted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openStore, DATA_DIR } = require('./store');
+const { shortText } = require('./text');
+
+const KINDS = ['bug', 'feedback', 'question'];
+const SOURCES = ['web', 'app'];
+const STATUSES = ['open', 'closed'];
+const MAX_MESSAGE = 5000;
+const MAX_ATTACHMENT = 2 * 1024 * 1024;
+const MAX_TAGS = 10;
+const ATTACHMENT_TYPES = ['.zip', '.gz', '.txt', '.log', '.json'];
+
+const ATTACHMENT_DIR = path.join(DATA_DIR, 'feedback');
+
+// reports: id → { id, kind, source, message, email, appVersion, os, userId, locale,
+//                 attachment: { filename, size, sha256, mimeType } | null,
+//                 status, tags: [], createdAt, closedAt, closedBy }
+const store = openStore('feedback', { reports: {} });
+
+const attachmentPath = (id) => path.join(ATTACHMENT_DIR, id);
+
+function cleanEmail(value) {
+    const email = shortText(value, 254);
+    return email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email.toLowerCase() : null;
+}
+
+/** Keep only a safe base name, so the download header can't be abused */
+function cleanFilename(name) {
+    const base = path.basename(String(name || '')).replace(/[^\w.-]+/g, '_').slice(-100);
+    return base || 'diagnostics';
+}
+
+function cleanTags(tags) {
+    const list = (Array.isArray(tags) ? tags : String(tags || '').split(','))
+        .map((tag) => String(tag).trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32))
+        .filter(Boolean);
+    return [...new Set(list)].slice(0, MAX_TAGS);
+}
+
+/**
+ * File a report. `fields` are the submitted form fields, `file` the optional
+ * upload from lib/multipart. Returns { report } or { error, status }.
+ */
+function create(fields, file, { userId = null, locale = null } = {}) {
+    const message = typeof fields.message === 'string' ? fields.message.trim() : '';
+    if (!message) return { error: 'A message is required', status: 400 };
+    if (message.length > MAX_MESSAGE) return { error: `The message is limited to ${MAX_MESSAGE} characters`, status: 400 };
+
+    const kind = fields.kind || 'feedback';
+    if (!KINDS.includes(kind)) return { error: `kind must be one of ${KINDS.join(', ')}`, status: 400 };
+    const source = fields.source || 'web';
+    if (!SOURCES.includes(source)) return { error: `source must be one of ${SOURCES.join(', ')}`, status: 400 };
+    if (fields.email && !cleanEmail(fields.email)) return { error: 'The email address is not valid', status: 400 };
+
+    let attachment = null;
+    if (file) {
+        const filename = cleanFilename(file.filename);
+        if (!ATTACHMENT_TYPES.some((ext) => filename.toLowerCase().endsWith(ext))) {
+            return { error: `Attachments must be one of ${ATTACHMENT_TYPES.join(', ')}`, status: 415 };
+        }
+        if (!file.size) return { error: 'The attachment is empty', status: 400 };
+        attachment = {
+            filename,
+            size: file.size,
+            sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+            mimeType: shortText(file.mimeType, 100) || 'application/octet-stream',
+        };
+    }
+
+    const report = {
+        id: crypto.randomUUID(),
+        kind,
+        source,
+        message,
+        email: cleanEmail(fields.email),
+        appVersion: shortText(fields.appVersion, 40),
+        os: shortText(fields.os, 120),
+        userId,
+        locale,
+        attachment,
+        status: 'open',
+        tags: [],
+        createdAt: new Date().toISOString(),
+        closedAt: null,
+        closedBy: null,
+    };
+    if (attachment) {
+        fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+        fs.writeFileSync(attachmentPath(report.id), file.data);
+    }
+    store.update((data) => {
+        data.reports[report.id] = report;
+    });
+    return { report };
+}
+
+/** Newest first, optionally narrowed to a status and/or a tag */
+function list({ status, tag } = {}) {
+    return Object.values(store.get().reports)
+        .filter((r) => (!status || r.status === status) && (!tag || r.tags.includes(tag)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function get(id) {
+    return store.get().reports[id] || null;
+}
+
+/** Apply `fn` to a stored report; returns the updated report or null */
+function change(id, fn) {
+    return store.update((data) => {
+        const report = data.reports[id];
+        if (!report) return null;
+        fn(report);
+        return report;
+    });
+}
+
+function setTags(id, tags) {
+    return change(id, (report) => {
+        report.tags = cleanTags(tags);
+    });
+}
+
+function close(id, by) {
+    return change(id, (report) => {
+        Object.assign(report, { status: 'closed', closedAt: new Date().toISOString(), closedBy: by });
+    });
+}
+
+function reopen(id) {
+    return change(id, (report) => {
+        Object.assign(report, { status: 'open', closedAt: null, closedBy: null });
+    });
+}
+
+/** The stored bundle of a report, or null */
+function attachment(report) {
+    if (!report.attachment) return null;
+    const file = attachmentPath(report.id);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+function counts() {
+    const totals = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    for (const report of Object.values(store.get().reports)) totals[report.status]++;
+    return totals;
+}
+
+function exportForUser(userId) {
+    return Object.values(store.get().reports)
+        .filter((r) => r.userId === userId)
+        .map(({ id, kind, source, message, email, appVersion, os, attachment: file, status, createdAt }) => (
+            { id, kind, source, message, email, appVersion, os, attachment: file, status, createdAt }
+        ));
+}
+
+function deleteForUser(userId) {
+    store.update((data) => {
+        for (const report of Object.values(data.reports)) {
+            if (report.userId !== userId) continue;
+            delete data.reports[report.id];
+            fs.rmSync(attachmentPath(report.id), { force: true });
+        }
+    });
+}
+
+module.exports = {
+    KINDS,
+    STATUSES,
+    MAX_MESSAGE,
+    MAX_ATTACHMENT,
+    ATTACHMENT_TYPES,
+    create,
+    list,
+    get,
+    setTags,
+    close,
+    reopen,
+    attachment,
+    counts,
+    exportForUser,
+    deleteForUser,
+};
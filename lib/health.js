@@ -0,0 +1,126 @@
+/**
+ * Health and readiness checks behind /healthz and /readyz.
+ *
+ * Each check is { name, status: ok|warn|fail, message }. Configuration checks
+ * only look at the environment; readiness adds the dependencies a request
+ * may touch (DATA_DIR, the rate-limit store). A `fail` means requests will
+ * break, a `warn` that something runs in a development-only or degraded
+ * mode. Messages name settings, never their values.
+ */
+
+const fs = require('fs');
+const identity = require('./identity');
+const keys = require('./keys');
+const limits = require('./limits');
+const mailer = require('./mailer');
+const pow = require('./pow');
+const { DATA_DIR, serverlessPlatform } = require('./store');
+
+const DEPENDENCY_TIMEOUT = 2000;
+
+// Values shipped in .env.example that must never reach a deployment
+const PLACEHOLDERS = {
+    WORKOS_API_KEY: 'sk_test_your_api_key_here',
+    WORKOS_CLIENT_ID: 'client_your_client_id_here',
+};
+
+const ok = (name, message) => ({ name, status: 'ok', message });
+const warn = (name, message) => ({ name, status: 'warn', message });
+const fail = (name, message) => ({ name, status: 'fail', message });
+
+function identityCheck() {
+    if (identity.name === 'mock') return warn('identity', 'Mock identity provider — development only');
+    const placeholder = Object.keys(PLACEHOLDERS).find((name) => process.env[name] === PLACEHOLDERS[name]);
+    if (identity.name === 'workos' && placeholder) return fail('identity', `${placeholder} still holds the .env.example placeholder`);
+    if (!identity.configured()) return fail('identity', `${identity.label} is not configured`);
+    return ok('identity', `${identity.label} configured`);
+}
+
+function signingKeysCheck() {
+    if (keys.usingGeneratedKeys()) {
+        return warn('jwt', 'Signing with a generated development key — set JWT_SIGNING_KEYS');
+    }
+    return ok('jwt', `Signing with key ${keys.signingKey().kid}`);
+}
+
+function baseUrlCheck() {
+    const isProduction = process.env.NODE_ENV === 'production';
+    if (!process.env.BASE_URL) {
+        return (isProduction ? fail : warn)('baseUrl', 'BASE_URL is not set — links and redirects use localhost');
+    }
+    if (isProduction && !process.env.BASE_URL.startsWith('https://')) return warn('baseUrl', 'BASE_URL is not https');
+    return ok('baseUrl', process.env.BASE_URL);
+}
+
+function webhookCheck() {
+    if (identity.name !== 'workos') return ok('webhooks', `Not used with ${identity.label}`);
+    return process.env.WORKOS_WEBHOOK_SECRET
+        ? ok('webhooks', 'WorkOS webhook secret configured')
+        : warn('webhooks', 'WORKOS_WEBHOOK_SECRET not set — deletions and profile changes in WorkOS reach sessions only at the next sign-in');
+}
+
+function mailCheck() {
+    return mailer.configured() ? ok('mail', 'SMTP configured') : warn('mail', 'SMTP_URL / MAIL_FROM not set — the waitlist is closed');
+}
+
+function powCheck() {
+    return pow.configured()
+        ? ok('powSecret', 'POW_SECRET configured')
+        : warn('powSecret', 'POW_SECRET not set — feedback challenges only verify on instances sharing DATA_DIR');
+}
+
+function storageCheck() {
+    const platform = serverlessPlatform();
+    return platform
+        ? fail('storage', `Running on ${platform} — DATA_DIR isn't shared between instances; deploy on a single persistent host`)
+        : ok('storage', 'Single host, state in DATA_DIR');
+}
+
+/** Checks that only read the environment; cheap enough for every liveness probe */
+function configChecks() {
+    return [identityCheck(), webhookCheck(), signingKeysCheck(), baseUrlCheck(), mailCheck(), powCheck(), storageCheck()];
+}
+
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${DEPENDENCY_TIMEOUT} ms`)), DEPENDENCY_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function dependencyChecks() {
+    const checks = [];
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.accessSync(DATA_DIR, fs.constants.W_OK);
+        checks.push(ok('dataDir', 'DATA_DIR is writable'));
+    } catch (err) {
+        checks.push(fail('dataDir', `DATA_DIR is not writable (${err.code || err.message})`));
+    }
+    try {
+        await withTimeout(limits.backend.get('health'));
+        checks.push(ok('rateLimitStore', `${limits.backend.name} store reachable`));
+    } catch (err) {
+        checks.push(fail('rateLimitStore', `${limits.backend.name} store unreachable: ${err.message}`));
+    }
+    return checks;
+}
+
+const overall = (checks) => (checks.some((c) => c.status === 'fail') ? 'fail'
+    : checks.some((c) => c.status === 'warn') ? 'warn' : 'ok');
+
+/** Liveness: the process answers; configuration problems are reported, not fatal */
+function liveness() {
+    const checks = configChecks();
+    return { status: overall(checks), uptime: Math.round(process.uptime()), checks };
+}
+
+/** Readiness: configuration plus dependencies; `ready` is false on any failure */
+async function readiness() {
+    const checks = [...configChecks(), ...await dependencyChecks()];
+    const status = overall(checks);
+    return { ready: status !== 'fail', status, checks };
+}
+
+module.exports = { liveness, readiness };
@@ -0,0 +1,75 @@
+/**
+ * Message catalogs (locales/*.json) and locale negotiation.
+ *
+ * The locale for a request comes from, in order: a locale-prefixed URL
+ * (/hi/, /es/), an explicit choice remembered in the `deskly_locale` cookie,
+ * then Accept-Language. Missing keys fall back to English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = ['en', 'hi', 'es'];
+const COOKIE = 'deskly_locale';
+
+function deepMerge(base, override) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        out[key] = value && typeof value === 'object' && !Array.isArray(value)
+            ? deepMerge(base[key] || {}, value)
+            : value;
+    }
+    return out;
+}
+
+const english = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', 'en.json'), 'utf8'));
+const catalogs = Object.fromEntries(LOCALES.map((locale) => {
+    if (locale === DEFAULT_LOCALE) return [locale, english];
+    const messages = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+    return [locale, deepMerge(english, messages)];
+}));
+
+function isLocale(value) {
+    return LOCALES.includes(value);
+}
+
+/** Locale from cookie, then Accept-Language (ignores any URL prefix) */
+function negotiate(req) {
+    const saved = req.cookies?.[COOKIE];
+    if (isLocale(saved)) return saved;
+    return req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+}
+
+/** Replace `{name}` placeholders in every string of a catalog subtree */
+function fill(node, params) {
+    if (typeof node === 'string') return node.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+    if (!node || typeof node !== 'object') return node;
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fill(value, params)]));
+}
+
+/**
+ * Full catalog for a locale — used by view templates as `{{t.section.key}}`.
+ * With params, `{name}` placeholders are filled in (landing page counts).
+ */
+function catalog(locale, params) {
+    const messages = catalogs[locale] || english;
+    return params ? fill(messages, params) : messages;
+}
+
+/** t('pages.callback.welcome', { name }) for server-built pages */
+function translator(locale) {
+    const messages = catalog(locale);
+    return (key, params = {}) => {
+        const value = key.split('.').reduce((node, part) => node?.[part], messages);
+        if (typeof value !== 'string') return key;
+        return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+    };
+}
+
+/** Home page URL for a locale (English lives at the root) */
+function localePath(locale) {
+    return locale === DEFAULT_LOCALE ? '/' : `/${locale}/`;
+}
+
+module.exports = { DEFAULT_LOCALE, LOCALES, COOKIE, isLocale, negotiate, catalog, translator, localePath };
@@ -0,0 +1,44 @@
+/**
+ * Identity provider behind /auth/login and /auth/callback.
+ *
+ * AUTH_PROVIDER picks one of `workos`, `oidc` or `mock`; left unset it's
+ * WorkOS, which shows "not configured" until its keys are set. The mock
+ * provider signs anyone in as anyone, so it is only ever used when asked for
+ * by name (AUTH_PROVIDER=mock, to run the sign-in flow offline) and is
+ * refused in production.
+ *
+ * Every provider exposes:
+ *   name, label                              identifiers for logs and /account
+ *   configured()                             → boolean
+ *   supportsSso                              honours organizationId / connectionId
+ *   authorizationUrl({ redirectUri, state, organizationId?, connectionId?, loginHint? })
+ *                                            → Promise<string>
+ *   authenticate({ code, redirectUri })      → Promise<user>
+ *   deleteUser(id)                           → Promise (optional)
+ *   listUsers({ limit })                     → Promise<user[]> (optional)
+ *
+ * Users are normalised to WorkOS's shape:
+ *   { id, email, firstName, lastName, profilePictureUrl, createdAt }
+ * plus `organization: { id, name, role }` when the sign-in went through one
+ * and `sessionId` when the provider keeps a session of its own (WorkOS).
+ */
+
+const PROVIDERS = {
+    workos: () => require('./workos'),
+    oidc: () => require('./oidc'),
+    mock: () => require('./mock'),
+};
+
+function select() {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.AUTH_PROVIDER || 'workos';
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown AUTH_PROVIDER "${name}" — expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (name === 'mock' && isProduction) {
+        throw new Error('FATAL: the mock identity provider cannot be used in production');
+    }
+    return PROVIDERS[name]();
+}
+
+module.exports = select();
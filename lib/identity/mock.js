@@ -0,0 +1,103 @@
+/**
+ * Local mock provider for development and tests.
+ *
+ * /auth/login sends the browser to a fake consent screen (served by
+ * server.js at /auth/mock/authorize) listing the test users. Picking one
+ * redirects to /auth/callback with a single-use code, exactly like a real
+ * provider would, so login → callback → deep link → /api/me runs offline.
+ *
+ * Test users come from MOCK_AUTH_USERS (a JSON array) or the defaults below;
+ * give one an `organization: { id, name, role }` to try the enterprise path.
+ */
+
+const crypto = require('crypto');
+
+const CODE_TTL = 60 * 1000;
+
+const DEFAULT_USERS = [
+    { id: 'user_mock_alice', email: 'alice@example.com', firstName: 'Alice', lastName: 'Tester' },
+    { id: 'user_mock_bob', email: 'bob@example.com', firstName: 'Bob', lastName: null },
+    {
+        id: 'user_mock_carol',
+        email: 'carol@acme.example',
+        firstName: 'Carol',
+        lastName: 'Admin',
+        organization: { id: 'org_mock_acme', name: 'Acme Inc', role: 'admin' },
+    },
+];
+
+function loadUsers() {
+    const list = process.env.MOCK_AUTH_USERS ? JSON.parse(process.env.MOCK_AUTH_USERS) : DEFAULT_USERS;
+    return list.map((u) => {
+        if (!u.id || !u.email) throw new Error('MOCK_AUTH_USERS entries need an id and an email');
+        return {
+            id: u.id,
+            email: u.email,
+            firstName: u.firstName || null,
+            lastName: u.lastName || null,
+            profilePictureUrl: u.profilePictureUrl || null,
+            createdAt: u.createdAt || null,
+            ...(u.organization ? { organization: u.organization } : {}),
+        };
+    });
+}
+
+const users = loadUsers();
+
+// code → { userId, exp } — in memory, the mock only ever runs as one process
+const codes = new Map();
+
+/** Redirect target for the consent screen's answer */
+function callbackUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+        if (value) url.searchParams.set(key, value);
+    }
+    return url.toString();
+}
+
+module.exports = {
+    name: 'mock',
+    label: 'Mock (local)',
+    supportsSso: true,
+
+    configured() {
+        return true;
+    },
+
+    async authorizationUrl({ state, organizationId }) {
+        return `/auth/mock/authorize?${new URLSearchParams({ state, ...(organizationId ? { organization_id: organizationId } : {}) })}`;
+    },
+
+    /** Test users offered on the consent screen — only the organization's when routed to one */
+    usersFor(organizationId) {
+        return organizationId ? users.filter((u) => u.organization?.id === organizationId) : users;
+    },
+
+    /** Consent granted for a test user — returns the callback URL, or null for an unknown user */
+    approve(userId, { redirectUri, state }) {
+        if (!users.some((u) => u.id === userId)) return null;
+        const code = `mock_${crypto.randomBytes(16).toString('base64url')}`;
+        codes.set(code, { userId, exp: Date.now() + CODE_TTL });
+        return callbackUrl(redirectUri, { code, state });
+    },
+
+    deny({ redirectUri, state }) {
+        return callbackUrl(redirectUri, { error: 'access_denied', state });
+    },
+
+    async authenticate({ code }) {
+        const entry = codes.get(code);
+        codes.delete(code);
+        if (!entry || entry.exp < Date.now()) throw new Error('Invalid or expired mock authorization code');
+        return users.find((u) => u.id === entry.userId);
+    },
+
+    async deleteUser() {
+        // Test users live in config — nothing to delete
+    },
+
+    async listUsers() {
+        return users;
+    },
+};
@@ -0,0 +1,77 @@
+/**
+ * WorkOS AuthKit (Google, Microsoft, email, enterprise SSO).
+ */
+
+const jwt = require('jsonwebtoken');
+const { WorkOS } = require('@workos-inc/node');
+
+// Lazy init — only needed once someone signs in
+let workos = null;
+function client() {
+    if (!workos) {
+        workos = new WorkOS({
+            apiKey: process.env.WORKOS_API_KEY,
+            clientId: process.env.WORKOS_CLIENT_ID,
+        });
+    }
+    return workos;
+}
+
+module.exports = {
+    name: 'workos',
+    label: 'WorkOS',
+    supportsSso: true,
+    client,
+
+    configured() {
+        return Boolean(process.env.WORKOS_API_KEY && process.env.WORKOS_CLIENT_ID);
+    },
+
+    async authorizationUrl({ redirectUri, state, organizationId, connectionId, loginHint }) {
+        // A specific connection or organization skips AuthKit's chooser
+        const target = connectionId ? { connectionId } : organizationId ? { organizationId } : { provider: 'authkit' };
+        return client().userManagement.getAuthorizationUrl({
+            clientId: process.env.WORKOS_CLIENT_ID,
+            redirectUri,
+            state,
+            loginHint,
+            ...target,
+        });
+    },
+
+    async authenticate({ code }) {
+        const { user: profile, organizationId, accessToken } = await client().userManagement.authenticateWithCode({
+            clientId: process.env.WORKOS_CLIENT_ID,
+            code,
+        });
+        // The WorkOS session, named by session.revoked webhooks
+        const user = { ...profile, sessionId: jwt.decode(accessToken)?.sid || null };
+        if (!organizationId) return user;
+
+        const { data: [membership] } = await client().userManagement.listOrganizationMemberships({
+            userId: user.id,
+            organizationId,
+        });
+        return {
+            ...user,
+            organization: {
+                id: organizationId,
+                name: membership?.organizationName || null,
+                role: membership?.role?.slug || null,
+            },
+        };
+    },
+
+    async deleteUser(id) {
+        try {
+            await client().userManagement.deleteUser(id);
+        } catch (err) {
+            if (err.status !== 404) throw err;
+        }
+    },
+
+    async listUsers({ limit = 25 } = {}) {
+        const { data } = await client().userManagement.listUsers({ order: 'desc', limit });
+        return data;
+    },
+};
@@ -0,0 +1,108 @@
+/**
+ * JWT signing key set.
+ *
+ * Keys come from JWT_SIGNING_KEYS, a JSON array of
+ *   { "kid": "...", "privateKey": "<PEM>", "active": true }
+ * Every key verifies; the one marked `active` (or the first with a private
+ * key) signs. To rotate: add the new key as active, keep the old one until
+ * its tokens have expired, then drop it — or keep only its `publicKey`.
+ *
+ * Outside production an RSA key is generated once and persisted under
+ * DATA_DIR so restarts don't sign everyone out.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const logger = require('./logger');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/** Pick the JWS algorithm from the key material (jsonwebtoken has no EdDSA) */
+function algFor(keyObject) {
+    const type = keyObject.asymmetricKeyType;
+    if (type === 'rsa') return 'RS256';
+    if (type === 'ec' && keyObject.asymmetricKeyDetails?.namedCurve === 'prime256v1') return 'ES256';
+    throw new Error(`Unsupported JWT key type: ${type}${type === 'ec' ? ' (only P-256)' : ''}`);
+}
+
+function loadConfiguredKeys(raw) {
+    const entries = JSON.parse(raw);
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('JWT_SIGNING_KEYS must be a non-empty JSON array');
+    }
+    return entries.map((entry) => {
+        if (!entry.kid) throw new Error('Every JWT signing key needs a kid');
+        const privateKey = entry.privateKey ? crypto.createPrivateKey(entry.privateKey) : null;
+        const publicKey = privateKey
+            ? crypto.createPublicKey(privateKey)
+            : crypto.createPublicKey(entry.publicKey);
+        return { kid: entry.kid, alg: algFor(publicKey), privateKey, publicKey, active: !!entry.active };
+    });
+}
+
+function loadDevKeys() {
+    const store = openStore('dev_keys', { keys: [] });
+    if (store.get().keys.length === 0) {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        store.update((data) => {
+            data.keys.push({
+                kid: `dev-${crypto.randomBytes(4).toString('hex')}`,
+                privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            });
+        });
+    }
+    return loadConfiguredKeys(JSON.stringify(store.get().keys));
+}
+
+let keys;
+try {
+    if (process.env.JWT_SIGNING_KEYS) {
+        keys = loadConfiguredKeys(process.env.JWT_SIGNING_KEYS);
+    } else if (isProduction) {
+        // In production, refuse to start without real keys
+        logger.error('FATAL: JWT_SIGNING_KEYS is required in production. Generate one with `npm run generate:jwt-key`.');
+        process.exit(1);
+    } else {
+        keys = loadDevKeys();
+    }
+} catch (err) {
+    logger.error('FATAL: could not load JWT signing keys', { reason: err.message });
+    process.exit(1);
+}
+
+const signer = keys.find((k) => k.active && k.privateKey) || keys.find((k) => k.privateKey);
+if (!signer) {
+    logger.error('FATAL: no JWT signing key has a privateKey.');
+    process.exit(1);
+}
+
+const byKid = new Map(keys.map((k) => [k.kid, k]));
+
+/** True when signing with the key generated for development instead of JWT_SIGNING_KEYS */
+function usingGeneratedKeys() {
+    return !process.env.JWT_SIGNING_KEYS;
+}
+
+/** Key used for new tokens */
+function signingKey() {
+    return signer;
+}
+
+/** Look up a verification key by the token's `kid` header */
+function findKey(kid) {
+    return byKid.get(kid) || null;
+}
+
+/** Public half of every key, as served from /.well-known/jwks.json */
+function jwks() {
+    return {
+        keys: keys.map((k) => ({
+            ...k.publicKey.export({ format: 'jwk' }),
+            kid: k.kid,
+            alg: k.alg,
+            use: 'sig',
+        })),
+    };
+}
+
+module.exports = { signingKey, findKey, jwks, usingGeneratedKeys };
@@ -0,0 +1,85 @@
+/**
+ * Counter backend for a single host (the default without REDIS_URL).
+ *
+ * Counters live in memory — every API request passes several limiters, and
+ * rewriting rate_limits.json for each of them would block the event loop —
+ * and are written to the JSON store in DATA_DIR at most every FLUSH_DELAY,
+ * so lockouts and windows survive a restart. Only this process sees them.
+ */
+
+const { openStore } = require('../store');
+const logger = require('../logger');
+
+const FLUSH_DELAY = 5000;
+
+// entries: key → { count, resetAt (ms) }
+const store = openStore('rate_limits', { entries: {} });
+
+const entries = new Map(Object.entries(store.get().entries));
+let flushTimer = null;
+
+function prune(now) {
+    for (const [key, entry] of entries) {
+        if (entry.resetAt <= now) entries.delete(key);
+    }
+}
+
+/** Write the live counters out now (also on exit) */
+function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    prune(Date.now());
+    try {
+        store.update((data) => {
+            data.entries = Object.fromEntries(entries);
+        });
+    } catch (err) {
+        logger.error('Could not save rate-limit counters', { err });
+    }
+}
+
+function changed() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_DELAY);
+    flushTimer.unref();
+}
+
+process.on('beforeExit', flush);
+
+function live(key) {
+    const entry = entries.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+}
+
+module.exports = {
+    name: 'file',
+
+    async increment(key, ttlMs) {
+        let entry = live(key);
+        if (!entry) {
+            entry = { count: 0, resetAt: Date.now() + ttlMs };
+            entries.set(key, entry);
+        }
+        entry.count += 1;
+        changed();
+        return { ...entry };
+    },
+
+    async get(key) {
+        const entry = live(key);
+        return entry ? { ...entry } : null;
+    },
+
+    async decrement(key) {
+        const entry = live(key);
+        if (!entry || entry.count === 0) return;
+        entry.count -= 1;
+        changed();
+    },
+
+    async reset(key) {
+        if (entries.delete(key)) changed();
+    },
+
+    flush,
+};
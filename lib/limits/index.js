@@ -0,0 +1,107 @@
+/**
+ * Shared rate-limit counters and brute-force lockout.
+ *
+ * express-rate-limit's default MemoryStore is per process, so counts were
+ * lost on every restart. Counters now live in a shared backend:
+ * anything speaking the Redis protocol when REDIS_URL is set, otherwise
+ * memory saved to DATA_DIR now and then (RATE_LIMIT_STORE=file|redis
+ * overrides).
+ *
+ * Lockout is progressive: after LOCKOUT_THRESHOLD failures (state mismatch,
+ * invalid token, bad PKCE verifier, …) a key is locked for 1 minute, then
+ * 2, 4, … up to an hour, until the failures age out of FAILURE_WINDOW.
+ * Failures count against the client's IP and, when the request carries a code
+ * or refresh token we issued, its account and device; a successful sign-in
+ * clears the latter two.
+ */
+
+const { ipKeyGenerator } = require('express-rate-limit');
+
+const FAILURE_WINDOW = 60 * 60 * 1000;   // failures are remembered for an hour
+const LOCKOUT_THRESHOLD = 5;             // failures before the first lockout
+const LOCKOUT_BASE = 60 * 1000;          // first lockout: 1 minute
+const LOCKOUT_MAX = 60 * 60 * 1000;      // longest lockout: 1 hour
+
+function selectBackend() {
+    const name = process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'file');
+    if (name === 'redis') {
+        if (!process.env.REDIS_URL) throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL');
+        return require('./redis-backend');
+    }
+    if (name === 'file') return require('./file-backend');
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}" — expected file or redis`);
+}
+
+const backend = selectBackend();
+
+/** express-rate-limit Store backed by the shared counters */
+class SharedStore {
+    constructor(prefix) {
+        this.prefix = `rl:${prefix}:`;
+        this.localKeys = false;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async get(key) {
+        const entry = await backend.get(this.prefix + key);
+        return entry && { totalHits: entry.count, resetTime: new Date(entry.resetAt) };
+    }
+
+    async increment(key) {
+        const entry = await backend.increment(this.prefix + key, this.windowMs);
+        return { totalHits: entry.count, resetTime: new Date(entry.resetAt) };
+    }
+
+    async decrement(key) {
+        await backend.decrement(this.prefix + key);
+    }
+
+    async resetKey(key) {
+        await backend.reset(this.prefix + key);
+    }
+}
+
+// ─── Keys ──────────────────────────────────────────────────────────────────────
+
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip || '')}`;
+const accountKey = (sub) => `acct:${sub}`;
+const deviceKey = (id) => `device:${id}`;
+
+// ─── Lockout ───────────────────────────────────────────────────────────────────
+
+/** Seconds until every given key is unlocked (0 when none is locked) */
+async function lockedFor(keys) {
+    const locks = await Promise.all(keys.map((key) => backend.get(`lock:${key}`)));
+    const until = Math.max(0, ...locks.filter(Boolean).map((l) => l.resetAt));
+    return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+}
+
+/** Count a failure against each key, locking the ones past the threshold */
+async function recordFailure(keys) {
+    await Promise.all(keys.map(async (key) => {
+        const { count } = await backend.increment(`fail:${key}`, FAILURE_WINDOW);
+        if (count < LOCKOUT_THRESHOLD) return;
+        const duration = Math.min(LOCKOUT_BASE * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX);
+        await backend.reset(`lock:${key}`);
+        await backend.increment(`lock:${key}`, duration);
+    }));
+}
+
+/** Forget the failures counted against each key (its current lock runs out on its own) */
+async function clearFailures(keys) {
+    await Promise.all(keys.map((key) => backend.reset(`fail:${key}`)));
+}
+
+module.exports = {
+    backend,
+    SharedStore,
+    ipKey,
+    accountKey,
+    deviceKey,
+    lockedFor,
+    recordFailure,
+    clearFailures,
+};
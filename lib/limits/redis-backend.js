@@ -0,0 +1,83 @@
+/**
+ * Counter backend for anything that speaks the Redis protocol (Redis,
+ * Valkey, KeyDB, Upstash over rediss://), through ioredis.
+ *
+ * The client connects on first use and reconnects in the background. While
+ * Redis is unreachable (or refuses the credentials) commands fail after one
+ * attempt instead of queueing, so callers see the error — rate limiters
+ * pass requests through, /readyz reports the store as down — and the
+ * process keeps running.
+ *
+ * REDIS_URL: redis[s]://[user:password@]host:port[/db]
+ */
+
+const Redis = require('ioredis');
+const logger = require('../logger');
+
+const KEY_PREFIX = 'deskly:limits:';
+const COMMAND_TIMEOUT = 5000;
+
+// INCR that starts the TTL on the first hit; returns [count, pttl]
+const INCREMENT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 or redis.call('PTTL', KEYS[1]) < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }`;
+const GET = `return { redis.call('GET', KEYS[1]), redis.call('PTTL', KEYS[1]) }`;
+const DECREMENT = `if redis.call('GET', KEYS[1]) then return redis.call('DECR', KEYS[1]) end return 0`;
+
+let client = null;
+let lastError = null;
+
+function redis() {
+    if (client) return client;
+    client = new Redis(process.env.REDIS_URL, {
+        keyPrefix: KEY_PREFIX,
+        lazyConnect: true,
+        commandTimeout: COMMAND_TIMEOUT,
+        maxRetriesPerRequest: 1,
+        retryStrategy: (attempt) => Math.min(attempt * 200, 5000),
+    });
+    client.defineCommand('limitIncrement', { numberOfKeys: 1, lua: INCREMENT });
+    client.defineCommand('limitGet', { numberOfKeys: 1, lua: GET });
+    client.defineCommand('limitDecrement', { numberOfKeys: 1, lua: DECREMENT });
+    // Without a listener ioredis' 'error' events would crash the process.
+    // Reconnect attempts repeat the same error; log it once until it changes.
+    client.on('error', (err) => {
+        if (err.message === lastError) return;
+        lastError = err.message;
+        logger.warn('Redis connection error', { err });
+    });
+    client.on('ready', () => {
+        if (lastError) logger.info('Redis connection restored');
+        lastError = null;
+    });
+    return client;
+}
+
+const toEntry = ([count, pttl]) => (count === null || pttl < 0 ? null : { count: Number(count), resetAt: Date.now() + pttl });
+
+module.exports = {
+    name: 'redis',
+
+    async increment(key, ttlMs) {
+        return toEntry(await redis().limitIncrement(key, ttlMs));
+    },
+
+    async get(key) {
+        return toEntry(await redis().limitGet(key));
+    },
+
+    async decrement(key) {
+        await redis().limitDecrement(key);
+    },
+
+    async reset(key) {
+        await redis().del(key);
+    },
+
+    /** Drop the connection and stop reconnecting, so a script can exit */
+    close() {
+        if (client) client.disconnect();
+        client = null;
+    },
+};
@@ -0,0 +1,84 @@
+/**
+ * Structured logging: one JSON object per line, on stdout for info and below
+ * and stderr for warnings and errors, which is what systemd, Docker and most
+ * log drains expect.
+ *
+ * Lines written while handling a request carry its request ID without
+ * passing it around (AsyncLocalStorage, entered by the request middleware).
+ * Anything that looks like a credential is redacted before it's written —
+ * by field name, and by query parameter in logged URLs.
+ *
+ * LOG_LEVEL: debug | info | warn | error (default info).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Field names whose values are never logged
+const SECRET_FIELD = /token|secret|password|authorization|cookie|verifier|api_?key|^code$|^state$|^sig$/i;
+// Query parameters stripped from logged URLs
+const SECRET_PARAMS = ['code', 'state', 'token', 'code_verifier', 'code_challenge', 'refresh_token',
+    'access_token', 'id_token', 'sig', 'email', 'login_hint'];
+const REDACTED = '[redacted]';
+
+const context = new AsyncLocalStorage();
+
+/**
+ * A URL (or path) with its credential-bearing query parameters masked. Only
+ * the query is parsed — the path is whatever the client sent, and must never
+ * make logging throw.
+ */
+function redactUrl(url) {
+    const text = String(url ?? '');
+    const split = text.indexOf('?');
+    if (split === -1) return text.split('#')[0];
+    const query = [...new URLSearchParams(text.slice(split + 1).split('#')[0])].map(([name, value]) => (
+        `${encodeURIComponent(name)}=${SECRET_PARAMS.includes(name) ? REDACTED : encodeURIComponent(value)}`
+    ));
+    return text.slice(0, split) + (query.length ? `?${query.join('&')}` : '');
+}
+
+function serializeError(err) {
+    return { name: err.name, message: err.message, ...(err.code && { code: err.code }), stack: err.stack };
+}
+
+/** Deep copy safe to write: secrets masked, errors expanded, depth bounded */
+function clean(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 4) return '[…]';
+    if (Array.isArray(value)) return value.map((v) => clean(v, depth + 1));
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+        out[key] = SECRET_FIELD.test(key) && v != null ? REDACTED : clean(v, depth + 1);
+    }
+    return out;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < threshold) return;
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...context.getStore(),
+        ...clean(fields),
+    });
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/** Run `fn` with `fields` (e.g. { requestId }) added to every line it logs */
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    withContext,
+    redactUrl,
+};
@@ -0,0 +1,198 @@
+/**
+ * Outgoing email over SMTP. A deliberately small client: EHLO, STARTTLS when
+ * the server offers it, AUTH PLAIN, then MAIL / RCPT / DATA per message. One
+ * session can send many messages (the waitlist broadcast does), and RSET
+ * recovers it after one is refused.
+ *
+ * SMTP_URL: smtp[s]://[user:password@]host[:port] — smtps is implicit TLS.
+ * In development point it at a local mail catcher (Mailpit, MailHog):
+ * smtp://localhost:1025.
+ * MAIL_FROM: sender, e.g. "Deskly <hello@deskly.in>".
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const COMMAND_TIMEOUT = 15000;
+
+function configured() {
+    return !!(process.env.SMTP_URL && process.env.MAIL_FROM);
+}
+
+/** The bare address inside "Name <addr>" (or the value itself) */
+function addressOf(value) {
+    const match = /<([^>]+)>\s*$/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+// Header values never get to carry their own line breaks
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+/** RFC 2047 encoded-word for non-ASCII header text */
+function encodeHeader(value) {
+    const clean = headerValue(value);
+    return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+}
+
+/** "Name <addr>" with the display name encoded when needed */
+function encodeAddress(value) {
+    const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(value);
+    return match && match[1] ? `${encodeHeader(match[1])} <${headerValue(match[2])}>` : headerValue(value);
+}
+
+/** A complete text/plain message, base64 bodied so any UTF-8 is safe */
+function buildMessage({ from, to, subject, text, headers = {} }) {
+    const domain = addressOf(from).split('@')[1] || 'localhost';
+    const lines = [
+        `From: ${encodeAddress(from)}`,
+        `To: ${encodeAddress(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${headerValue(value)}`),
+        '',
+        ...(Buffer.from(text).toString('base64').match(/.{1,76}/g) || []),
+    ];
+    return lines.join('\r\n');
+}
+
+class SmtpSession {
+    constructor(url) {
+        this.url = new URL(url);
+        this.buffer = '';
+        this.waiting = null;
+        this.replies = [];
+        this.error = null;
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(COMMAND_TIMEOUT);
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('timeout', () => this.fail(new Error('SMTP server timed out')));
+        socket.on('error', (err) => this.fail(err));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+        // A reply ends with a "250 text" line; "250-text" lines continue it
+        let match;
+        while ((match = /^((?:\d{3}-[^\r\n]*\r?\n)*)(\d{3})(?: [^\r\n]*)?\r?\n/.exec(this.buffer))) {
+            const lines = match[0].trim().split(/\r?\n/).map((l) => l.slice(4));
+            this.buffer = this.buffer.slice(match[0].length);
+            this.replies.push({ code: Number(match[2]), lines });
+        }
+        this.deliver();
+    }
+
+    deliver() {
+        if (!this.waiting) return;
+        const { resolve, reject } = this.waiting;
+        if (this.replies.length) {
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.error) {
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    fail(err) {
+        if (!this.error) this.error = err;
+        this.socket?.destroy();
+        this.deliver();
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.deliver();
+        });
+    }
+
+    /** Send one command line and check the reply code */
+    async command(line, expect, label = line ? line.split(' ')[0] : 'greeting') {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expect.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    async open() {
+        const { protocol, hostname, port, username, password } = this.url;
+        const implicitTls = protocol === 'smtps:';
+        const options = { host: hostname, port: Number(port) || (implicitTls ? 465 : 587) };
+        this.attach(implicitTls ? tls.connect({ ...options, servername: hostname }) : net.connect(options));
+        await this.command(null, [220]);
+
+        const ehlo = await this.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        if (!implicitTls && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+            await this.command('STARTTLS', [220]);
+            const plain = this.socket;
+            plain.removeAllListeners();
+            this.attach(tls.connect({ socket: plain, servername: hostname }));
+            await this.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+        if (password) {
+            const credentials = Buffer.from(`\0${decodeURIComponent(username)}\0${decodeURIComponent(password)}`).toString('base64');
+            await this.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        return this;
+    }
+
+    /** Send one message: { to, subject, text, headers? } from MAIL_FROM */
+    async send(message) {
+        const from = process.env.MAIL_FROM;
+        await this.command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+        await this.command(`RCPT TO:<${headerValue(addressOf(message.to))}>`, [250, 251]);
+        await this.command('DATA', [354]);
+        // Dot-stuffing: a line starting with "." gets a second one
+        const data = buildMessage({ from, ...message }).replace(/^\./gm, '..');
+        await this.command(`${data}\r\n.`, [250], 'message');
+    }
+
+    /** Abandon a half-sent message (e.g. a refused recipient) and keep the session */
+    async reset() {
+        await this.command('RSET', [250]);
+    }
+
+    async close() {
+        try {
+            if (!this.error) await this.command('QUIT', [221]);
+        } catch {
+            // already on our way out
+        }
+        this.socket?.destroy();
+    }
+}
+
+/** Open a session for several messages; remember to close() it */
+async function openSession() {
+    if (!configured()) throw new Error('Email is not configured (SMTP_URL, MAIL_FROM)');
+    const session = new SmtpSession(process.env.SMTP_URL);
+    try {
+        return await session.open();
+    } catch (err) {
+        session.socket?.destroy();
+        throw err;
+    }
+}
+
+async function sendMail(message) {
+    const session = await openSession();
+    try {
+        await session.send(message);
+    } finally {
+        await session.close();
+    }
+}
+
+module.exports = { configured, openSession, sendMail, buildMessage };
@@ -0,0 +1,101 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format at /metrics.
+ *
+ * A deliberately small registry — counters and histograms with labels is all
+ * the server needs. Values live in this process: on serverless each instance
+ * reports its own, and Prometheus' sum()/rate() put them back together.
+ */
+
+const PREFIX = 'deskly_';
+const registry = [];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function formatLabels(entries, extra = []) {
+    const all = [...entries, ...extra];
+    if (!all.length) return '';
+    const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${all.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function counter(name, help) {
+    const values = new Map();
+    const metric = {
+        name: PREFIX + name,
+        inc(labels = {}, by = 1) {
+            const key = labelKey(labels);
+            values.set(key, (values.get(key) || 0) + by);
+        },
+        render() {
+            return [
+                `# HELP ${metric.name} ${help}`,
+                `# TYPE ${metric.name} counter`,
+                ...[...values].map(([key, value]) => `${metric.name}${formatLabels(JSON.parse(key))} ${value}`),
+            ];
+        },
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function histogram(name, help, buckets) {
+    const series = new Map();
+    const metric = {
+        name: PREFIX + name,
+        observe(labels, value) {
+            const key = labelKey(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((le, i) => {
+                if (value <= le) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const lines = [`# HELP ${metric.name} ${help}`, `# TYPE ${metric.name} histogram`];
+            for (const [key, entry] of series) {
+                const labels = JSON.parse(key);
+                buckets.forEach((le, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels(labels, [['le', le]])} ${entry.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels(labels, [['le', '+Inf']])} ${entry.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${entry.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${entry.count}`);
+            }
+            return lines;
+        },
+    };
+    registry.push(metric);
+    return metric;
+}
+
+/** Point-in-time values read when scraped */
+function gauge(name, help, read) {
+    const metric = {
+        name: PREFIX + name,
+        render: () => [`# HELP ${metric.name} ${help}`, `# TYPE ${metric.name} gauge`, `${metric.name} ${read()}`],
+    };
+    registry.push(metric);
+    return metric;
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status code.');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by method and route.',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const authEvents = counter('auth_events_total', 'Sign-in, token and refresh outcomes by flow.');
+const rateLimitHits = counter('rate_limit_hits_total', 'Requests refused by a rate limiter or auth lockout.');
+const webhookEvents = counter('webhook_events_total', 'Identity provider webhook deliveries by event type and outcome.');
+gauge('process_uptime_seconds', 'Seconds since this instance started.', () => Math.round(process.uptime()));
+gauge('process_resident_memory_bytes', 'Resident set size of this instance.', () => process.memoryUsage().rss);
+gauge('process_heap_used_bytes', 'V8 heap in use.', () => process.memoryUsage().heapUsed);
+
+/** Everything, in Prometheus text format */
+function render() {
+    return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+module.exports = { httpRequests, httpDuration, authEvents, rateLimitHits, webhookEvents, render };
@@ -0,0 +1,104 @@
+/**
+ * Just enough of the minidump format to group crashes without symbols: the
+ * exception (code and address) and the module the address falls in, as a
+ * module-relative offset. The same bug in the same build then always yields
+ * the same signature, wherever ASLR loaded the module.
+ *
+ * Format reference: MINIDUMP_HEADER / MINIDUMP_DIRECTORY in Microsoft's
+ * minidumpapiset.h — Crashpad writes the same layout on every platform.
+ */
+
+const MAGIC = 0x504d444d; // "MDMP"
+const MODULE_LIST_STREAM = 4;
+const EXCEPTION_STREAM = 6;
+const MODULE_SIZE = 108;
+
+const EXCEPTION_NAMES = {
+    win32: {
+        0x80000003: 'EXCEPTION_BREAKPOINT',
+        0xc0000005: 'EXCEPTION_ACCESS_VIOLATION',
+        0xc000001d: 'EXCEPTION_ILLEGAL_INSTRUCTION',
+        0xc0000094: 'EXCEPTION_INT_DIVIDE_BY_ZERO',
+        0xc00000fd: 'EXCEPTION_STACK_OVERFLOW',
+        0xc0000409: 'STATUS_STACK_BUFFER_OVERRUN',
+        0xe0000008: 'OUT_OF_MEMORY',
+    },
+    darwin: {
+        1: 'EXC_BAD_ACCESS',
+        2: 'EXC_BAD_INSTRUCTION',
+        3: 'EXC_ARITHMETIC',
+        5: 'EXC_SOFTWARE',
+        6: 'EXC_BREAKPOINT',
+        10: 'EXC_CRASH',
+        11: 'EXC_RESOURCE',
+        12: 'EXC_GUARD',
+    },
+    linux: {
+        4: 'SIGILL',
+        5: 'SIGTRAP',
+        6: 'SIGABRT',
+        7: 'SIGBUS',
+        8: 'SIGFPE',
+        11: 'SIGSEGV',
+    },
+};
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+/** The UTF-16 MINIDUMP_STRING at `rva`, or null when it's out of bounds */
+function readString(buf, rva) {
+    if (rva + 4 > buf.length) return null;
+    const length = buf.readUInt32LE(rva);
+    if (rva + 4 + length > buf.length) return null;
+    return buf.toString('utf16le', rva + 4, rva + 4 + length);
+}
+
+function readModules(buf, { rva, size }) {
+    if (size < 4 || rva + size > buf.length) return [];
+    const count = buf.readUInt32LE(rva);
+    const modules = [];
+    for (let i = 0; i < count && rva + 4 + (i + 1) * MODULE_SIZE <= buf.length; i++) {
+        const at = rva + 4 + i * MODULE_SIZE;
+        const name = readString(buf, buf.readUInt32LE(at + 20));
+        modules.push({
+            base: buf.readBigUInt64LE(at),
+            size: BigInt(buf.readUInt32LE(at + 8)),
+            // Full path on the user's machine — only the file name is kept
+            name: name ? name.split(/[\\/]/).pop() : null,
+        });
+    }
+    return modules;
+}
+
+/**
+ * Read a dump. Returns null when it isn't a minidump, otherwise
+ * { exception: { code, name, address } | null, module, offset }.
+ */
+function parse(buf, platform) {
+    if (!Buffer.isBuffer(buf) || buf.length < 32 || buf.readUInt32LE(0) !== MAGIC) return null;
+    const count = buf.readUInt32LE(8);
+    const directory = buf.readUInt32LE(12);
+    const streams = {};
+    for (let i = 0; i < count && directory + (i + 1) * 12 <= buf.length; i++) {
+        const at = directory + i * 12;
+        streams[buf.readUInt32LE(at)] = { size: buf.readUInt32LE(at + 4), rva: buf.readUInt32LE(at + 8) };
+    }
+
+    const result = { exception: null, module: null, offset: null };
+    const exception = streams[EXCEPTION_STREAM];
+    if (!exception || exception.size < 32 || exception.rva + 32 > buf.length) return result;
+
+    const code = buf.readUInt32LE(exception.rva + 8);
+    const address = buf.readBigUInt64LE(exception.rva + 24);
+    result.exception = { code: hex(code), name: EXCEPTION_NAMES[platform]?.[code] || null, address: hex(address) };
+
+    const modules = streams[MODULE_LIST_STREAM] ? readModules(buf, streams[MODULE_LIST_STREAM]) : [];
+    const hit = modules.find((m) => address >= m.base && address < m.base + m.size);
+    if (hit) {
+        result.module = hit.name;
+        result.offset = hex(address - hit.base);
+    }
+    return result;
+}
+
+module.exports = { parse };
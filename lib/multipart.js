@@ -0,0 +1,79 @@
+/**
+ * multipart/form-data uploads with hard limits, on top of busboy.
+ *
+ * Everything is buffered in memory — uploads here are diagnostics of a few
+ * megabytes at most, and serverless bodies are capped well below that
+ * anyway. Going over any limit rejects the whole request. Bodies sent with
+ * `Content-Encoding: gzip` (Crashpad's uploads) are inflated on the way in.
+ */
+
+const zlib = require('zlib');
+const busboy = require('busboy');
+
+/**
+ * Parse a multipart request. Resolves { fields, files } or { error, status }.
+ *   files: [{ field, filename, mimeType, data (Buffer), size }]
+ * `fileFields` lists the file inputs accepted; any other file is refused.
+ */
+function parse(req, { fileFields = [], maxFileSize, maxFiles = 1, maxFields = 20, maxFieldSize = 16 * 1024 }) {
+    if (!req.is('multipart/form-data')) {
+        return Promise.resolve({ error: 'Expected a multipart/form-data body', status: 415 });
+    }
+
+    return new Promise((resolve) => {
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { fileSize: maxFileSize, files: maxFiles, fields: maxFields, fieldSize: maxFieldSize, parts: maxFiles + maxFields },
+            });
+        } catch (err) {
+            return resolve({ error: `Malformed multipart body: ${err.message}`, status: 400 });
+        }
+
+        const fields = {};
+        const files = [];
+        let failure = null;
+        const fail = (error, status) => {
+            if (!failure) failure = { error, status };
+        };
+
+        parser.on('field', (name, value, info) => {
+            if (info.valueTruncated) fail(`Field "${name}" is too long`, 413);
+            fields[name] = value;
+        });
+        parser.on('file', (field, stream, { filename, mimeType }) => {
+            if (!fileFields.includes(field)) {
+                fail(`Unexpected file field "${field}"`, 400);
+                return stream.resume();
+            }
+            const chunks = [];
+            let size = 0;
+            stream.on('data', (chunk) => {
+                chunks.push(chunk);
+                size += chunk.length;
+            });
+            stream.on('limit', () => fail(`"${field}" is larger than ${maxFileSize} bytes`, 413));
+            stream.on('end', () => files.push({ field, filename, mimeType, data: Buffer.concat(chunks), size }));
+        });
+        parser.on('filesLimit', () => fail(`At most ${maxFiles} file(s) can be uploaded`, 413));
+        parser.on('fieldsLimit', () => fail('Too many form fields', 413));
+        parser.on('partsLimit', () => fail('Too many form parts', 413));
+        parser.on('error', (err) => {
+            fail(`Malformed multipart body: ${err.message}`, 400);
+            req.unpipe(parser);
+            req.resume();
+            resolve(failure);
+        });
+        parser.on('close', () => resolve(failure || { fields, files }));
+
+        const encoding = (req.headers['content-encoding'] || 'identity').toLowerCase();
+        if (encoding === 'identity') return req.pipe(parser);
+        if (encoding !== 'gzip') return resolve({ error: `Unsupported Content-Encoding "${encoding}"`, status: 415 });
+        const gunzip = zlib.createGunzip();
+        gunzip.on('error', (err) => parser.destroy(err));
+        req.pipe(gunzip).pipe(parser);
+    });
+}
+
+module.exports = { parse };
@@ -0,0 +1,141 @@
+/**
+ * Social card and logo artwork, drawn as SVG and rasterised with sharp.
+ *
+ * scripts/generate-favicons.js renders the static favicons and og-image.png
+ * from these at build time; the server renders the per-share report cards
+ * (/r/:id/og.png) on demand.
+ */
+
+const catalog = require('./catalog');
+
+const FONT = "system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif";
+const xmlEscape = (s) => String(s).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+// ── Deskly logo as SVG ─────────────────────────────────────────────────────────
+// Rounded-rect background + progress arc + "D" letterform + green status dot
+function logoSvg(size) {
+    const r = Math.round(size * 0.195);   // corner radius
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 512 512">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#6366f1"/>
+      <stop offset="100%" stop-color="#818cf8"/>
+    </linearGradient>
+  </defs>
+  <rect x="0" y="0" width="512" height="512" rx="${r}" ry="${r}" fill="url(#bg)"/>
+  <g transform="translate(256,256)">
+    <circle cx="0" cy="0" r="130" fill="none" stroke="rgba(255,255,255,0.15)" stroke-width="28"/>
+    <path d="M 0 -130 A 130 130 0 1 1 -92 92" fill="none" stroke="white" stroke-width="28" stroke-linecap="round" opacity="0.9"/>
+    <path d="M-45-70L-45 70 15 70Q75 70 75 0 75-70 15-70ZM-5-35L15-35Q40-35 40 0 40 35 15 35L-5 35Z" fill="white" opacity="0.95"/>
+    <circle cx="95" cy="-95" r="18" fill="#4ade80"/>
+    <circle cx="95" cy="-95" r="10" fill="#22c55e"/>
+  </g>
+</svg>`;
+}
+
+// ── OG image (1200×630) ────────────────────────────────────────────────────────
+function ogSvg({ browsers } = catalog.counts()) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
+  <defs>
+    <linearGradient id="bgG" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#09090b"/>
+      <stop offset="100%" stop-color="#0f0f12"/>
+    </linearGradient>
+    <linearGradient id="logoG" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#6366f1"/>
+      <stop offset="100%" stop-color="#818cf8"/>
+    </linearGradient>
+  </defs>
+  <rect width="1200" height="630" fill="url(#bgG)"/>
+
+  <!-- Subtle border -->
+  <rect x="1" y="1" width="1198" height="628" rx="0" fill="none" stroke="rgba(255,255,255,0.06)" stroke-width="2"/>
+
+  <!-- Logo icon (left-center area) -->
+  <g transform="translate(200,315) scale(0.22)">
+    <rect x="0" y="0" width="512" height="512" rx="100" ry="100" fill="url(#logoG)" transform="translate(-256,-256)"/>
+    <circle cx="0" cy="0" r="130" fill="none" stroke="rgba(255,255,255,0.15)" stroke-width="28"/>
+    <path d="M 0 -130 A 130 130 0 1 1 -92 92" fill="none" stroke="white" stroke-width="28" stroke-linecap="round" opacity="0.9"/>
+    <path d="M-45-70L-45 70 15 70Q75 70 75 0 75-70 15-70ZM-5-35L15-35Q40-35 40 0 40 35 15 35L-5 35Z" fill="white" opacity="0.95"/>
+    <circle cx="95" cy="-95" r="18" fill="#4ade80"/>
+    <circle cx="95" cy="-95" r="10" fill="#22c55e"/>
+  </g>
+
+  <!-- "Deskly" wordmark -->
+  <text x="310" y="290" font-family="system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif" font-size="72" font-weight="700" fill="#ededef" letter-spacing="-3">Deskly</text>
+
+  <!-- Tagline -->
+  <text x="310" y="345" font-family="system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif" font-size="28" fill="#8b8b92" letter-spacing="0">Know where your time goes</text>
+
+  <!-- Feature pills -->
+  <g font-family="system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif" font-size="18" fill="#5c5c66">
+    <text x="310" y="400">1-second precision  ·  ${browsers} browsers  ·  100% local</text>
+  </g>
+
+  <!-- Accent glow -->
+  <circle cx="200" cy="315" r="200" fill="#818cf8" opacity="0.04"/>
+</svg>`;
+}
+
+// ── Share card (1200×630) ─────────────────────────────────────────────────────
+// A shared weekly report: period, total and up to five category bars. Every
+// string arrives already localised and formatted.
+function shareSvg({ heading, period, total, subtitle, categories }) {
+    const rows = categories.map((c, i) => {
+        const y = 200 + i * 78;
+        const width = Math.max(8, Math.round(460 * c.share));
+        return `
+    <text x="640" y="${y}" font-size="24" fill="#ededef">${xmlEscape(c.label)}</text>
+    <text x="1100" y="${y}" font-size="22" fill="#8b8b92" text-anchor="end">${xmlEscape(c.value)}</text>
+    <rect x="640" y="${y + 14}" width="460" height="14" rx="7" fill="rgba(255,255,255,0.06)"/>
+    <rect x="640" y="${y + 14}" width="${width}" height="14" rx="7" fill="url(#barG)"/>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
+  <defs>
+    <linearGradient id="bgG" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#09090b"/>
+      <stop offset="100%" stop-color="#0f0f12"/>
+    </linearGradient>
+    <linearGradient id="logoG" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#6366f1"/>
+      <stop offset="100%" stop-color="#818cf8"/>
+    </linearGradient>
+    <linearGradient id="barG" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0%" stop-color="#6366f1"/>
+      <stop offset="100%" stop-color="#818cf8"/>
+    </linearGradient>
+  </defs>
+  <rect width="1200" height="630" fill="url(#bgG)"/>
+  <rect x="1" y="1" width="1198" height="628" fill="none" stroke="rgba(255,255,255,0.06)" stroke-width="2"/>
+
+  <g transform="translate(130,110) scale(0.12)">
+    <rect x="0" y="0" width="512" height="512" rx="100" ry="100" fill="url(#logoG)" transform="translate(-256,-256)"/>
+    <path d="M 0 -130 A 130 130 0 1 1 -92 92" fill="none" stroke="white" stroke-width="28" stroke-linecap="round" opacity="0.9"/>
+    <path d="M-45-70L-45 70 15 70Q75 70 75 0 75-70 15-70ZM-5-35L15-35Q40-35 40 0 40 35 15 35L-5 35Z" fill="white" opacity="0.95"/>
+  </g>
+  <text x="180" y="122" font-family="${FONT}" font-size="32" font-weight="700" fill="#ededef" letter-spacing="-1">Deskly</text>
+
+  <g font-family="${FONT}">
+    <text x="100" y="250" font-size="30" fill="#8b8b92">${xmlEscape(heading)}</text>
+    <text x="100" y="370" font-size="104" font-weight="700" fill="#ededef" letter-spacing="-4">${xmlEscape(total)}</text>
+    <text x="100" y="430" font-size="26" fill="#8b8b92">${xmlEscape(period)}</text>
+    <text x="100" y="475" font-size="22" fill="#5c5c66">${xmlEscape(subtitle)}</text>
+    <text x="100" y="560" font-size="20" fill="#5c5c66">deskly.in</text>${rows}
+  </g>
+
+  <circle cx="200" cy="315" r="240" fill="#818cf8" opacity="0.04"/>
+</svg>`;
+}
+
+/** Rasterise an SVG string to a PNG buffer */
+async function toPng(svg, width, height, density = 150) {
+    // Loaded on first use: only share cards and the build script need it
+    const sharp = require('sharp');
+    return sharp(Buffer.from(svg), { density })
+        .resize(width, height)
+        .png()
+        .toBuffer();
+}
+
+module.exports = { logoSvg, ogSvg, shareSvg, toPng };
@@ -0,0 +1,80 @@
+/**
+ * Proof-of-work spam protection — no third-party captcha.
+ *
+ * The client fetches a challenge, then searches for a nonce such that
+ * SHA-256(`${challenge}:${nonce}`) starts with `difficulty` zero bits
+ * (about a second of work in a browser, nothing for a person filling a form,
+ * expensive for a bot posting thousands). Challenges are HMAC-signed so the
+ * server keeps no state until one is redeemed; redeemed ones are remembered
+ * in the shared rate-limit backend until they expire, so each works once.
+ *
+ * Every instance must sign with the same key, or a challenge issued by one
+ * fails on another: POW_SECRET. Without it a key is generated once and kept
+ * in DATA_DIR, which only holds for instances sharing that directory.
+ */
+
+const crypto = require('crypto');
+const limits = require('./limits');
+const { openStore } = require('./store');
+
+const CHALLENGE_TTL = 10 * 60 * 1000;
+const DIFFICULTY = parseInt(process.env.POW_DIFFICULTY, 10) || 16;
+
+const store = openStore('pow', { secret: null });
+
+function configured() {
+    return Boolean(process.env.POW_SECRET);
+}
+
+function secret() {
+    if (process.env.POW_SECRET) return process.env.POW_SECRET;
+    const { secret: existing } = store.get();
+    if (existing) return existing;
+    return store.update((data) => {
+        data.secret = data.secret || crypto.randomBytes(32).toString('base64');
+        return data.secret;
+    });
+}
+
+const sign = (body) => crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+
+/** A fresh challenge for `purpose` (e.g. "feedback") */
+function issue(purpose) {
+    const expiresAt = Date.now() + CHALLENGE_TTL;
+    const body = `${purpose}.${expiresAt}.${crypto.randomBytes(12).toString('base64url')}`;
+    return { challenge: `${body}.${sign(body)}`, difficulty: DIFFICULTY, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function leadingZeroBits(hash) {
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+/** Check a solved challenge and spend it. Returns null when fine, or the reason it isn't */
+async function redeem(purpose, challenge, nonce) {
+    if (typeof challenge !== 'string' || typeof nonce !== 'string' || nonce.length > 64) return 'missing proof of work';
+    const parts = challenge.split('.');
+    if (parts.length !== 4 || parts[0] !== purpose) return 'invalid challenge';
+    const body = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(parts[3]);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'invalid challenge';
+
+    const expiresAt = Number(parts[1]);
+    if (!(expiresAt > Date.now())) return 'challenge expired';
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(hash) < DIFFICULTY) return 'proof of work does not meet the difficulty';
+
+    const { count } = await limits.backend.increment(`pow:${parts[2]}`, expiresAt - Date.now());
+    return count > 1 ? 'challenge already used' : null;
+}
+
+module.exports = { DIFFICULTY, configured, issue, redeem };
@@ -0,0 +1,123 @@
+/**
+ * Release registry — content/releases.json is the single source of truth for
+ * what can be downloaded. It drives /download/latest, /api/releases, the
+ * electron-updater feeds (/updates/*.yml) and the landing page links.
+ *
+ * Add a release with `npm run release:add -- <installer> --version x.y.z`,
+ * which fills in size and SHA-512 for you.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY = path.join(__dirname, '..', 'content', 'releases.json');
+const CHANNELS = ['stable', 'beta'];
+const PLATFORMS = ['win32', 'darwin', 'linux'];
+const downloadsBase = (process.env.DOWNLOADS_BASE_URL || '/downloads').replace(/\/$/, '');
+
+/** Compare two semver strings (prereleases sort before their release) */
+function compareVersions(a, b) {
+    const parse = (v) => {
+        const [core, pre] = String(v).replace(/^v/, '').split('-', 2);
+        return { nums: core.split('.').map((n) => parseInt(n, 10) || 0), pre: pre ? pre.split('.') : [] };
+    };
+    const pa = parse(a);
+    const pb = parse(b);
+    for (let i = 0; i < 3; i++) {
+        const diff = (pa.nums[i] || 0) - (pb.nums[i] || 0);
+        if (diff) return Math.sign(diff);
+    }
+    if (!pa.pre.length || !pb.pre.length) {
+        // 1.0.0 > 1.0.0-beta.1
+        return Number(!pa.pre.length) - Number(!pb.pre.length);
+    }
+    for (let i = 0; i < Math.max(pa.pre.length, pb.pre.length); i++) {
+        const x = pa.pre[i];
+        const y = pb.pre[i];
+        if (x === undefined) return -1;
+        if (y === undefined) return 1;
+        const nx = /^\d+$/.test(x);
+        const ny = /^\d+$/.test(y);
+        if (nx && ny && +x !== +y) return Math.sign(+x - +y);
+        if (nx !== ny) return nx ? -1 : 1;
+        if (x !== y) return x < y ? -1 : 1;
+    }
+    return 0;
+}
+
+function validate(release) {
+    if (!/^\d+\.\d+\.\d+(-[0-9A-Za-z.]+)?$/.test(release.version || '')) {
+        throw new Error(`Invalid release version: ${release.version}`);
+    }
+    if (!CHANNELS.includes(release.channel)) {
+        throw new Error(`Release ${release.version} has unknown channel: ${release.channel}`);
+    }
+    for (const file of release.files || []) {
+        if (!PLATFORMS.includes(file.platform) || !file.arch || !file.file) {
+            throw new Error(`Release ${release.version} has an incomplete file entry`);
+        }
+    }
+}
+
+function load() {
+    const { releases = [] } = JSON.parse(fs.readFileSync(REGISTRY, 'utf8'));
+    releases.forEach(validate);
+    return releases
+        .map((r) => ({
+            ...r,
+            files: (r.files || []).map((f) => ({ ...f, url: f.url || `${downloadsBase}/${encodeURIComponent(f.file)}` })),
+        }))
+        .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+const releases = load();
+
+/** All releases, newest first, optionally narrowed by channel / platform */
+function listReleases({ channel, platform } = {}) {
+    return releases
+        .filter((r) => !channel || channel === 'beta' || r.channel === channel)
+        .map((r) => (platform ? { ...r, files: r.files.filter((f) => f.platform === platform) } : r))
+        .filter((r) => !platform || r.files.length > 0);
+}
+
+/**
+ * Newest release (and its file) for a platform. The beta channel also sees
+ * stable releases, so beta users move on once a newer stable ships.
+ */
+function latest({ channel = 'stable', platform = 'win32', arch = 'x64', requireHash = false } = {}) {
+    for (const release of releases) {
+        if (channel === 'stable' && release.channel !== 'stable') continue;
+        const file = release.files.find((f) => f.platform === platform && f.arch === arch && (!requireHash || f.sha512));
+        if (file) return { release, file };
+    }
+    return null;
+}
+
+/** One version's file for a platform, whatever its channel */
+function find({ version, platform = 'win32', arch = 'x64' } = {}) {
+    const release = releases.find((r) => r.version === version);
+    const file = release?.files.find((f) => f.platform === platform && f.arch === arch);
+    return file ? { release, file } : null;
+}
+
+/** electron-updater feed (latest.yml / beta-mac.yml / …) for the generic provider */
+function updaterFeed({ channel, platform, arch }, absoluteUrl) {
+    const found = latest({ channel, platform, arch, requireHash: true });
+    if (!found) return null;
+    const { release, file } = found;
+    const url = absoluteUrl(file.url);
+    const quote = (v) => `'${String(v).replace(/'/g, "''")}'`;
+    return [
+        `version: ${release.version}`,
+        'files:',
+        `  - url: ${quote(url)}`,
+        `    sha512: ${file.sha512}`,
+        `    size: ${file.size}`,
+        `path: ${quote(url)}`,
+        `sha512: ${file.sha512}`,
+        `releaseDate: ${quote(new Date(release.date).toISOString())}`,
+        '',
+    ].join('\n');
+}
+
+module.exports = { CHANNELS, PLATFORMS, compareVersions, listReleases, latest, find, updaterFeed };
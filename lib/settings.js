@@ -0,0 +1,135 @@
+/**
+ * Settings sync between a user's desktop installs (opt-in in the app).
+ *
+ * One document per user holding preferences only — custom categories,
+ * ignored apps and goals. Anything else is refused, so tracking data can't
+ * end up here by accident. Every write bumps `version`, which doubles as the
+ * ETag: writers send If-Match with the version they started from and a
+ * stale one is rejected with the current document, for the app to merge and
+ * retry. A user who never synced reads version 0 with empty settings.
+ */
+
+const { openStore } = require('./store');
+const catalog = require('./catalog');
+
+const SCHEMA = 1;
+const FIELDS = ['categories', 'ignoredApps', 'goals'];
+const MAX_CATEGORIES = 100;
+const MAX_RULES = 200;
+const MAX_IGNORED = 500;
+const MAX_GOALS = 50;
+const GOAL_KINDS = ['max', 'min'];
+const GOAL_PERIODS = ['day', 'week'];
+
+const EMPTY = () => ({ categories: [], ignoredApps: [], goals: [] });
+
+// users: userId → { version, settings, updatedAt, updatedBy (device name) }
+const store = openStore('settings', { users: {} });
+
+const isId = (value) => typeof value === 'string' && /^[\w-]{1,40}$/.test(value);
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+const isTextList = (value, maxItems, maxLength) => Array.isArray(value) && value.length <= maxItems
+    && value.every((item) => isText(item, maxLength));
+
+/** Validate a whole settings document. Returns { settings } or { error } */
+function clean(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Settings must be a JSON object' };
+    const unknown = Object.keys(body).find((key) => !FIELDS.includes(key));
+    if (unknown) return { error: `Unknown field "${unknown}" — only ${FIELDS.join(', ')} are synced` };
+    const { categories = [], ignoredApps = [], goals = [] } = body;
+
+    if (!Array.isArray(categories) || categories.length > MAX_CATEGORIES) {
+        return { error: `categories must be a list of at most ${MAX_CATEGORIES}` };
+    }
+    for (const c of categories) {
+        const ok = c && isId(c.id) && isText(c.name, 60) && /^#[0-9a-f]{6}$/i.test(c.color)
+            && isTextList(c.apps ?? [], MAX_RULES, 200) && isTextList(c.domains ?? [], MAX_RULES, 253)
+            && Object.keys(c).every((key) => ['id', 'name', 'color', 'apps', 'domains'].includes(key));
+        if (!ok) return { error: 'Each category needs { id, name, color: "#rrggbb", apps?: [], domains?: [] }' };
+    }
+    if (new Set(categories.map((c) => c.id)).size !== categories.length) return { error: 'Category ids must be unique' };
+
+    if (!isTextList(ignoredApps, MAX_IGNORED, 200)) {
+        return { error: `ignoredApps must be a list of at most ${MAX_IGNORED} app names` };
+    }
+
+    if (!Array.isArray(goals) || goals.length > MAX_GOALS) return { error: `goals must be a list of at most ${MAX_GOALS}` };
+    const categoryIds = new Set([...catalog.CATEGORIES, ...categories.map((c) => c.id)]);
+    for (const g of goals) {
+        const ok = g && isId(g.id) && categoryIds.has(g.category) && GOAL_KINDS.includes(g.kind)
+            && GOAL_PERIODS.includes(g.period) && Number.isInteger(g.minutes) && g.minutes > 0 && g.minutes <= 7 * 24 * 60
+            && Object.keys(g).every((key) => ['id', 'category', 'kind', 'period', 'minutes'].includes(key));
+        if (!ok) {
+            return { error: `Each goal needs { id, category, kind: ${GOAL_KINDS.join('|')}, period: ${GOAL_PERIODS.join('|')}, minutes }` };
+        }
+    }
+
+    return {
+        settings: {
+            categories: categories.map(({ id, name, color, apps = [], domains = [] }) => ({ id, name: name.trim(), color, apps, domains })),
+            ignoredApps: [...new Set(ignoredApps)],
+            goals: goals.map(({ id, category, kind, period, minutes }) => ({ id, category, kind, period, minutes })),
+        },
+    };
+}
+
+/** The user's document; version 0 when they never synced */
+function get(userId) {
+    const entry = store.get().users[userId];
+    return entry
+        ? { schema: SCHEMA, ...entry }
+        : { schema: SCHEMA, version: 0, settings: EMPTY(), updatedAt: null, updatedBy: null };
+}
+
+const etag = (version) => `"${version}"`;
+
+/** Whether an If-Match / If-None-Match header value names this version */
+function matches(header, version) {
+    return String(header).split(',').map((tag) => tag.trim().replace(/^W\//, ''))
+        .some((tag) => tag === '*' || tag === etag(version));
+}
+
+/**
+ * Replace the document if `ifMatch` still names the current version.
+ * Returns { document } or { error, status, current } — 412 with the current
+ * document when someone else wrote first, 428 when no If-Match was sent.
+ */
+function put(userId, body, ifMatch, updatedBy = null) {
+    if (!ifMatch) return { error: 'If-Match is required — send the ETag of the version you edited', status: 428 };
+    const { settings, error } = clean(body);
+    if (error) return { error, status: 400 };
+
+    return store.update((data) => {
+        const current = data.users[userId] ? { schema: SCHEMA, ...data.users[userId] } : get(userId);
+        if (!matches(ifMatch, current.version)) {
+            return { error: 'Settings changed on another device', status: 412, current };
+        }
+        const entry = { version: current.version + 1, settings, updatedAt: new Date().toISOString(), updatedBy };
+        data.users[userId] = entry;
+        return { document: { schema: SCHEMA, ...entry } };
+    });
+}
+
+/**
+ * Back to empty settings. The version keeps counting up, so devices holding
+ * the old ETag get a 412 instead of silently writing their copy back.
+ */
+function reset(userId, updatedBy = null) {
+    return store.update((data) => {
+        const version = (data.users[userId]?.version || 0) + 1;
+        data.users[userId] = { version, settings: EMPTY(), updatedAt: new Date().toISOString(), updatedBy };
+        return { schema: SCHEMA, ...data.users[userId] };
+    });
+}
+
+function exportForUser(userId) {
+    return store.get().users[userId] || null;
+}
+
+function deleteForUser(userId) {
+    store.update((data) => {
+        delete data.users[userId];
+    });
+}
+
+module.exports = { SCHEMA, get, put, reset, etag, matches, exportForUser, deleteForUser };
@@ -0,0 +1,183 @@
+/**
+ * Shareable screen-time report cards (/r/:id).
+ *
+ * Sharing is opt-in from the desktop app, which uploads an aggregate-only
+ * summary: the period, the total, active days and up to five categories.
+ * Anything else (window titles, app names, URLs) is refused rather than
+ * silently dropped, so a client can't believe it was stored. Each share
+ * expires, and can be deleted early by its owner or by anyone holding the
+ * delete link handed out at creation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openStore, DATA_DIR } = require('./store');
+const catalog = require('./catalog');
+const { LOCALES, DEFAULT_LOCALE } = require('./i18n');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+const MAX_CATEGORIES = 5;
+const MAX_ACTIVE_PER_USER = 20;
+const CATEGORIES = [...catalog.CATEGORIES, 'other'];
+const FIELDS = ['period', 'totalSeconds', 'activeDays', 'topCategories', 'expiresInDays', 'locale'];
+
+const IMAGE_DIR = path.join(DATA_DIR, 'share-images');
+
+// shares: id → { id, userId, deleteHash, locale, summary, createdAt, expiresAt }
+const store = openStore('shares', { shares: {} });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const imagePath = (id) => path.join(IMAGE_DIR, `${id}.png`);
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+const isSeconds = (value) => Number.isSafeInteger(value) && value >= 0;
+
+function removeShare(data, id) {
+    delete data.shares[id];
+    fs.rmSync(imagePath(id), { force: true });
+}
+
+function purgeExpired(data) {
+    const now = new Date().toISOString();
+    for (const share of Object.values(data.shares)) {
+        if (share.expiresAt <= now) removeShare(data, share.id);
+    }
+}
+
+/** Validate an upload into a stored summary. Returns { summary } or { error } */
+function cleanSummary(body) {
+    const unknown = Object.keys(body).find((key) => !FIELDS.includes(key));
+    if (unknown) return { error: `Unknown field "${unknown}" — shares only hold aggregate totals` };
+
+    const { period, totalSeconds, activeDays, topCategories } = body;
+    if (!isDate(period?.start) || !isDate(period?.end) || period.start > period.end) {
+        return { error: 'period must be { start, end } dates (YYYY-MM-DD), start first' };
+    }
+    if (!isSeconds(totalSeconds)) return { error: 'totalSeconds must be a non-negative integer' };
+    if (activeDays !== undefined && (!Number.isInteger(activeDays) || activeDays < 0 || activeDays > 366)) {
+        return { error: 'activeDays must be an integer between 0 and 366' };
+    }
+    if (!Array.isArray(topCategories) || topCategories.length > MAX_CATEGORIES) {
+        return { error: `topCategories must be a list of at most ${MAX_CATEGORIES} entries` };
+    }
+    for (const entry of topCategories) {
+        if (!CATEGORIES.includes(entry?.category) || !isSeconds(entry.seconds) || Object.keys(entry).length !== 2) {
+            return { error: `Each category needs { category, seconds } with category one of ${CATEGORIES.join(', ')}` };
+        }
+    }
+
+    return {
+        summary: {
+            period: { start: period.start, end: period.end },
+            totalSeconds,
+            activeDays: activeDays ?? null,
+            topCategories: topCategories
+                .map(({ category, seconds }) => ({ category, seconds }))
+                .sort((a, b) => b.seconds - a.seconds),
+        },
+    };
+}
+
+/**
+ * Publish a summary. Returns { share, deleteToken } or { error, status }.
+ * The delete token is only ever returned here; we keep its hash.
+ */
+function create(userId, body = {}) {
+    const { summary, error } = cleanSummary(body);
+    if (error) return { error, status: 400 };
+
+    const days = body.expiresInDays ?? DEFAULT_EXPIRY_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return { error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, status: 400 };
+    }
+    if (body.locale !== undefined && !LOCALES.includes(body.locale)) {
+        return { error: `locale must be one of ${LOCALES.join(', ')}`, status: 400 };
+    }
+
+    return store.update((data) => {
+        purgeExpired(data);
+        const active = Object.values(data.shares).filter((s) => s.userId === userId).length;
+        if (active >= MAX_ACTIVE_PER_USER) {
+            return { error: `At most ${MAX_ACTIVE_PER_USER} shares can be live at once — delete one first`, status: 429 };
+        }
+
+        const deleteToken = crypto.randomBytes(24).toString('base64url');
+        const now = new Date();
+        const share = {
+            id: crypto.randomBytes(9).toString('base64url'),
+            userId,
+            deleteHash: sha256(deleteToken),
+            locale: body.locale || DEFAULT_LOCALE,
+            summary,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+        };
+        data.shares[share.id] = share;
+        return { share, deleteToken };
+    });
+}
+
+/** A live share, or null when unknown or expired */
+function get(id) {
+    const share = store.get().shares[id];
+    return share && share.expiresAt > new Date().toISOString() ? share : null;
+}
+
+function verifyDeleteToken(share, token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(share.deleteHash, 'hex');
+    const given = Buffer.from(sha256(token), 'hex');
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/** Delete with the link's token; returns whether a share was removed */
+function removeWithToken(id, token) {
+    const share = get(id);
+    if (!share || !verifyDeleteToken(share, token)) return false;
+    store.update((data) => removeShare(data, id));
+    return true;
+}
+
+/** Delete as the signed-in owner */
+function removeForUser(userId, id) {
+    const share = get(id);
+    if (!share || share.userId !== userId) return false;
+    store.update((data) => removeShare(data, id));
+    return true;
+}
+
+/** PNG for a share, rendered once by `render()` and then kept next to the store */
+async function image(share, render) {
+    const file = imagePath(share.id);
+    if (fs.existsSync(file)) return fs.readFileSync(file);
+    const png = await render(share);
+    fs.mkdirSync(IMAGE_DIR, { recursive: true });
+    fs.writeFileSync(file, png);
+    return png;
+}
+
+function exportForUser(userId) {
+    return Object.values(store.get().shares)
+        .filter((s) => s.userId === userId)
+        .map(({ deleteHash, ...share }) => share);
+}
+
+function deleteForUser(userId) {
+    store.update((data) => {
+        for (const share of Object.values(data.shares)) {
+            if (share.userId === userId) removeShare(data, share.id);
+        }
+    });
+}
+
+module.exports = {
+    CATEGORIES,
+    create,
+    get,
+    removeWithToken,
+    removeForUser,
+    image,
+    exportForUser,
+    deleteForUser,
+};
@@ -0,0 +1,79 @@
+/**
+ * Enterprise SSO routing.
+ *
+ * content/sso-domains.json maps email domains to a WorkOS organization or a
+ * specific connection (Okta, Azure AD, Google Workspace SAML, …):
+ *
+ *     { "domains": {
+ *         "acme.com":   { "name": "Acme Inc", "organization": "org_01H…" },
+ *         "globex.com": { "name": "Globex", "connection": "conn_01H…" }
+ *     } }
+ *
+ * With at least one mapping, /auth/login asks for an email first and sends
+ * mapped domains straight to their company's sign-in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = path.join(__dirname, '..', 'content', 'sso-domains.json');
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const EMAIL_PATTERN = /^[^\s@]{1,64}@([a-z0-9-]+(?:\.[a-z0-9-]+)+)$/i;
+
+function load() {
+    if (!fs.existsSync(CONFIG)) return {};
+    const { domains = {} } = JSON.parse(fs.readFileSync(CONFIG, 'utf8'));
+    const out = {};
+    for (const [domain, entry] of Object.entries(domains)) {
+        const { organization, connection } = entry;
+        if (Boolean(organization) === Boolean(connection)) {
+            throw new Error(`SSO domain ${domain} needs exactly one of organization or connection`);
+        }
+        if (!ID_PATTERN.test(organization || connection)) {
+            throw new Error(`SSO domain ${domain} has a malformed organization / connection ID`);
+        }
+        out[domain.toLowerCase()] = { name: entry.name || domain, organization, connection };
+    }
+    return out;
+}
+
+const domains = load();
+
+function isEnabled() {
+    return Object.keys(domains).length > 0;
+}
+
+/** Lowercased domain of a plausible email address, or null */
+function domainOf(email) {
+    const match = EMAIL_PATTERN.exec(String(email || '').trim());
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Work out where /auth/login should send the user:
+ *   { route: { organizationId?, connectionId?, loginHint? } }
+ *   { askEmail: true }   — show the email-first step
+ *   { error }            — malformed input
+ */
+function resolve({ organization_id: organizationId, connection, email }, { emailStep = false } = {}) {
+    if (organizationId || connection) {
+        const id = String(organizationId || connection);
+        if (!ID_PATTERN.test(id)) return { error: 'Malformed organization_id or connection' };
+        return { route: organizationId ? { organizationId: id } : { connectionId: id } };
+    }
+    if (email !== undefined) {
+        const domain = domainOf(email);
+        if (!domain) return { error: 'invalid_email' };
+        const entry = domains[domain];
+        return {
+            route: {
+                loginHint: String(email).trim(),
+                organizationId: entry?.organization,
+                connectionId: entry?.connection,
+            },
+        };
+    }
+    return emailStep && isEnabled() ? { askEmail: true } : { route: {} };
+}
+
+module.exports = { isEnabled, domainOf, resolve };
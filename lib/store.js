@@ -0,0 +1,94 @@
+/**
+ * Tiny JSON-file persistence for server-side state (revocations, refresh
+ * tokens, …). Each store is one file under DATA_DIR, written atomically.
+ *
+ * This only works on a single, long-running host with DATA_DIR on a
+ * persistent disk, which is how Deskly is deployed (npm start behind a
+ * reverse proxy). Every read re-checks the file's mtime, so the server and
+ * the scripts in scripts/ see each other's writes, but nothing coordinates
+ * several hosts. Serverless platforms give every instance its own throwaway
+ * filesystem — sessions, revocations and the waitlist would silently differ
+ * from one request to the next — so /readyz fails there (lib/health).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+// Environment variables by which serverless platforms announce themselves
+const SERVERLESS_PLATFORMS = { VERCEL: 'Vercel', AWS_LAMBDA_FUNCTION_NAME: 'AWS Lambda', NETLIFY: 'Netlify' };
+
+/** Name of the serverless platform we're running on, or null on a regular host */
+function serverlessPlatform() {
+    const variable = Object.keys(SERVERLESS_PLATFORMS).find((name) => process.env[name]);
+    return variable ? SERVERLESS_PLATFORMS[variable] : null;
+}
+
+if (serverlessPlatform()) {
+    logger.error('DATA_DIR is not shared between serverless instances — run Deskly on a single persistent host', {
+        platform: serverlessPlatform(),
+    });
+}
+
+const stores = new Map();
+
+function readJson(file, defaults) {
+    try {
+        return { ...structuredClone(defaults), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.error('Could not read store file', { file, err });
+        return structuredClone(defaults);
+    }
+}
+
+function mtimeOf(file) {
+    try {
+        return fs.statSync(file).mtimeMs;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Open (or reuse) a named store.
+ *   store.get()          → current data (reloaded if the file changed on disk)
+ *   store.update(fn)     → run fn(data), then persist; returns fn's result
+ */
+function openStore(name, defaults = {}) {
+    if (stores.has(name)) return stores.get(name);
+
+    const file = path.join(DATA_DIR, `${name}.json`);
+    let data = readJson(file, defaults);
+    let mtime = mtimeOf(file);
+
+    function get() {
+        const current = mtimeOf(file);
+        if (current !== mtime) {
+            data = readJson(file, defaults);
+            mtime = current;
+        }
+        return data;
+    }
+
+    function save() {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+        mtime = mtimeOf(file);
+    }
+
+    function update(fn) {
+        const result = fn(get());
+        save();
+        return result;
+    }
+
+    const store = { get, update };
+    stores.set(name, store);
+    return store;
+}
+
+module.exports = { openStore, serverlessPlatform, DATA_DIR };
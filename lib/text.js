@@ -0,0 +1,13 @@
+/**
+ * Cleaning free-form text fields from reports (feedback, crash uploads)
+ * before they're stored and shown in the admin console.
+ */
+
+/** Trimmed single-line text of at most `max` characters, or null */
+function shortText(value, max) {
+    if (typeof value !== 'string') return null;
+    const clean = value.replace(/[\r\n\t]+/g, ' ').trim();
+    return clean ? clean.slice(0, max) : null;
+}
+
+module.exports = { shortText };
@@ -0,0 +1,388 @@
+/**
+ * Access / refresh token issuing and revocation.
+ *
+ * Access tokens are short-lived JWTs. Each sign-in starts a token "family"
+ * (carried as the `sid` claim) with one opaque refresh token; every refresh
+ * rotates it. Presenting a refresh token that was already rotated means it
+ * leaked, so the whole family — and every access token in it — is revoked.
+ *
+ * The desktop app never sees tokens in a URL: the deep link carries a
+ * single-use authorization code that is redeemed with a PKCE verifier.
+ *
+ * Profile claims (email, name, picture) are copied from the identity
+ * provider at sign-in. When it reports a change (lib/webhooks), the new
+ * values override the claims of tokens signed before it, and refresh tokens
+ * carry them into every later access token.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { openStore } = require('./store');
+const keys = require('./keys');
+
+const ACCESS_TOKEN_TTL = 15 * 60;                // 15 minutes (seconds)
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;     // 30 days (seconds)
+const AUTH_CODE_TTL = 2 * 60;                    // 2 minutes (seconds)
+
+// revoked:  jti → exp (unix seconds), kept until the token would expire anyway
+// families: sid → { sub, idpSession, createdAt, revokedAt, reason }
+// refresh:  sha256(refresh token) → { family, sub, profile, exp, rotatedAt }
+// profiles: sub → { email, name, picture, changedAt (unix seconds), sourceUpdatedAt }
+const store = openStore('tokens', { revoked: {}, families: {}, refresh: {}, profiles: {} });
+
+// codes: sha256(code) → { user, challenge, device, exp, usedAt, family }
+const codeStore = openStore('auth_codes', { codes: {} });
+
+const now = () => Math.floor(Date.now() / 1000);
+const hash = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/** Claims copied into every access token (org_* / role only for organization sign-ins) */
+function profileFromUser(user) {
+    const { organization } = user;
+    return {
+        email: user.email,
+        name: user.firstName
+            ? `${user.firstName}${user.lastName ? ' ' + user.lastName : ''}`
+            : user.email.split('@')[0],
+        picture: user.profilePictureUrl || null,
+        ...(organization ? { org_id: organization.id, org_name: organization.name, role: organization.role } : {}),
+    };
+}
+
+function signAccessToken(sub, profile, family) {
+    const { kid, alg, privateKey } = keys.signingKey();
+    return jwt.sign(
+        { sub, sid: family, ...profile },
+        privateKey,
+        { algorithm: alg, keyid: kid, expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+}
+
+/** Store a fresh refresh token for the family and return it (plaintext only leaves here) */
+function createRefreshToken(data, sub, profile, family) {
+    const token = `rt_${crypto.randomBytes(32).toString('base64url')}`;
+    data.refresh[hash(token)] = { family, sub, profile, exp: now() + REFRESH_TOKEN_TTL, rotatedAt: null };
+    return token;
+}
+
+/** Drop entries that can no longer matter (expired revocations, dead families) */
+function prune(data) {
+    const t = now();
+    for (const [jti, exp] of Object.entries(data.revoked)) {
+        if (exp <= t) delete data.revoked[jti];
+    }
+    const live = new Set();
+    for (const [key, rt] of Object.entries(data.refresh)) {
+        if (rt.exp <= t) delete data.refresh[key];
+        else live.add(rt.family);
+    }
+    for (const [sid, family] of Object.entries(data.families)) {
+        // A revoked family must outlive its last access token
+        const grace = family.revokedAt ? family.revokedAt + ACCESS_TOKEN_TTL : 0;
+        if (!live.has(sid) && grace <= t && family.createdAt + ACCESS_TOKEN_TTL <= t) {
+            delete data.families[sid];
+        }
+    }
+    const users = new Set(Object.values(data.families).map((family) => family.sub));
+    for (const sub of Object.keys(data.profiles)) {
+        if (!users.has(sub)) delete data.profiles[sub];
+    }
+}
+
+/** Start a new token family for a signed-in user */
+function issueTokens(user) {
+    const profile = profileFromUser(user);
+    const family = crypto.randomUUID();
+    return store.update((data) => {
+        prune(data);
+        data.families[family] = { sub: user.id, idpSession: user.sessionId || null, createdAt: now(), revokedAt: null, reason: null };
+        return {
+            accessToken: signAccessToken(user.id, profile, family),
+            refreshToken: createRefreshToken(data, user.id, profile, family),
+            expiresIn: ACCESS_TOKEN_TTL,
+            family,
+        };
+    });
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns { tokens } on success or { error } describing why it was refused.
+ */
+function rotateRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken.startsWith('rt_')) {
+        return { error: 'Invalid refresh token' };
+    }
+    return store.update((data) => {
+        const key = hash(refreshToken);
+        const record = data.refresh[key];
+        if (!record || record.exp <= now()) {
+            return { error: 'Invalid or expired refresh token' };
+        }
+        const family = data.families[record.family];
+        if (!family || family.revokedAt) {
+            return { error: 'Session has been revoked' };
+        }
+        if (record.rotatedAt) {
+            // Already used once — someone else holds a copy. Kill the session.
+            revokeFamilyIn(data, record.family, 'refresh_token_reuse');
+            return { error: 'Refresh token reuse detected. Please sign in again.' };
+        }
+
+        record.rotatedAt = now();
+        return {
+            tokens: {
+                accessToken: signAccessToken(record.sub, record.profile, record.family),
+                refreshToken: createRefreshToken(data, record.sub, record.profile, record.family),
+                expiresIn: ACCESS_TOKEN_TTL,
+            },
+        };
+    });
+}
+
+function revokeFamilyIn(data, sid, reason) {
+    const family = data.families[sid];
+    if (family && !family.revokedAt) {
+        family.revokedAt = now();
+        family.reason = reason;
+    }
+    for (const [key, rt] of Object.entries(data.refresh)) {
+        if (rt.family === sid) delete data.refresh[key];
+    }
+}
+
+/** Revoke a verified access token and the session it belongs to */
+function revokeToken(payload, reason = 'logout') {
+    store.update((data) => {
+        if (payload.jti) data.revoked[payload.jti] = payload.exp || now() + ACCESS_TOKEN_TTL;
+        if (payload.sid) revokeFamilyIn(data, payload.sid, reason);
+        prune(data);
+    });
+}
+
+/** Revoke one token family (e.g. a single signed-in device) */
+function revokeFamily(sid, reason = 'revoked') {
+    if (!sid) return;
+    store.update((data) => revokeFamilyIn(data, sid, reason));
+}
+
+/** Revoke every session a user has — "sign out everywhere" — and any sign-in still in flight */
+function revokeAllForUser(sub, reason = 'revoked_all') {
+    store.update((data) => {
+        for (const [sid, family] of Object.entries(data.families)) {
+            if (family.sub === sub) revokeFamilyIn(data, sid, reason);
+        }
+    });
+    codeStore.update((data) => {
+        for (const [key, entry] of Object.entries(data.codes)) {
+            if (entry.user.id === sub && !entry.usedAt) delete data.codes[key];
+        }
+    });
+}
+
+/** Revoke the sessions started from an identity provider session; returns how many */
+function revokeIdpSession(idpSession, reason = 'idp_session_revoked') {
+    if (!idpSession) return 0;
+    return store.update((data) => {
+        const sids = Object.keys(data.families).filter((sid) => data.families[sid].idpSession === idpSession);
+        sids.forEach((sid) => revokeFamilyIn(data, sid, reason));
+        return sids.length;
+    });
+}
+
+/** Revoke a user's sessions that signed in through an organization */
+function revokeForOrganization(sub, orgId, reason = 'organization_removed') {
+    store.update((data) => {
+        const sids = new Set(Object.values(data.refresh)
+            .filter((rt) => rt.sub === sub && rt.profile.org_id === orgId)
+            .map((rt) => rt.family));
+        sids.forEach((sid) => revokeFamilyIn(data, sid, reason));
+    });
+}
+
+/**
+ * Record profile changes from the identity provider. `sourceUpdatedAt` is
+ * its timestamp for the change; an update older than the one already applied
+ * is ignored and false returned.
+ */
+function updateProfile(user, sourceUpdatedAt = null) {
+    const { email, name, picture } = profileFromUser({ ...user, organization: null });
+    return store.update((data) => {
+        const previous = data.profiles[user.id];
+        if (previous?.sourceUpdatedAt && sourceUpdatedAt && sourceUpdatedAt < previous.sourceUpdatedAt) return false;
+        if (!Object.values(data.families).some((family) => family.sub === user.id && !family.revokedAt)) return true;
+
+        data.profiles[user.id] = { email, name, picture, changedAt: now(), sourceUpdatedAt };
+        for (const rt of Object.values(data.refresh)) {
+            if (rt.sub === user.id) rt.profile = { ...rt.profile, email, name, picture };
+        }
+        return true;
+    });
+}
+
+/** Sign-in sessions (token families) for a user, without any token material */
+function sessionsForUser(sub) {
+    const toIso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+    return Object.entries(store.get().families)
+        .filter(([, family]) => family.sub === sub)
+        .map(([id, family]) => ({
+            id,
+            createdAt: toIso(family.createdAt),
+            revokedAt: toIso(family.revokedAt),
+            revokedReason: family.reason,
+        }));
+}
+
+/** Revoke the session a refresh token belongs to (logout with only a refresh cookie) */
+function revokeRefreshToken(refreshToken, reason = 'logout') {
+    if (typeof refreshToken !== 'string') return;
+    store.update((data) => {
+        const record = data.refresh[hash(refreshToken)];
+        if (record) revokeFamilyIn(data, record.family, reason);
+    });
+}
+
+/** Account and session a refresh token was issued to (rotated ones too), or null */
+function refreshTokenOwner(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken.startsWith('rt_')) return null;
+    const record = store.get().refresh[hash(refreshToken)];
+    return record ? { sub: record.sub, device: record.family } : null;
+}
+
+// ─── PKCE authorization codes ──────────────────────────────────────────────────
+
+/** S256 challenges are base64url(sha256(verifier)) — always 43 characters */
+function isValidCodeChallenge(challenge) {
+    return typeof challenge === 'string' && /^[A-Za-z0-9_-]{43}$/.test(challenge);
+}
+
+/** Mint a single-use code bound to the app's PKCE challenge (and the device signing in) */
+function createAuthCode(user, challenge, device = null) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    codeStore.update((data) => {
+        const t = now();
+        for (const [key, entry] of Object.entries(data.codes)) {
+            // Keep used codes a while longer so late replays are still recognised
+            if (entry.exp + AUTH_CODE_TTL <= t) delete data.codes[key];
+        }
+        data.codes[hash(code)] = {
+            user: {
+                id: user.id,
+                email: user.email,
+                firstName: user.firstName || null,
+                lastName: user.lastName || null,
+                profilePictureUrl: user.profilePictureUrl || null,
+                sessionId: user.sessionId || null,
+            },
+            challenge,
+            device,
+            exp: t + AUTH_CODE_TTL,
+            usedAt: null,
+            family: null,
+        };
+    });
+    return code;
+}
+
+/**
+ * Redeem a code with its PKCE verifier.
+ * Returns { tokens, userId, device } on success or { error } describing why it was refused.
+ */
+function redeemAuthCode(code, verifier) {
+    if (typeof code !== 'string' || typeof verifier !== 'string') {
+        return { error: 'code and code_verifier are required' };
+    }
+    if (!/^[A-Za-z0-9._~-]{43,128}$/.test(verifier)) {
+        return { error: 'code_verifier must be 43-128 unreserved characters' };
+    }
+
+    const result = codeStore.update((data) => {
+        const entry = data.codes[hash(code)];
+        if (!entry) return { error: 'Unknown authorization code' };
+        if (entry.usedAt) {
+            // A replayed code means it leaked — revoke what the first use issued
+            return { error: 'Authorization code has already been used', replayedFamily: entry.family };
+        }
+        if (entry.exp <= now()) return { error: 'Authorization code has expired' };
+
+        const expected = Buffer.from(entry.challenge);
+        const actual = Buffer.from(crypto.createHash('sha256').update(verifier).digest('base64url'));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { error: 'code_verifier does not match code_challenge' };
+        }
+
+        entry.usedAt = now();
+        return { user: entry.user, device: entry.device };
+    });
+
+    if (result.replayedFamily) {
+        store.update((data) => revokeFamilyIn(data, result.replayedFamily, 'auth_code_reuse'));
+    }
+    if (result.error) return { error: result.error };
+
+    const issued = issueTokens(result.user);
+    codeStore.update((data) => {
+        const entry = data.codes[hash(code)];
+        if (entry) entry.family = issued.family;
+    });
+    return { tokens: issued, userId: result.user.id, device: result.device };
+}
+
+/** Account and device an authorization code was minted for (used ones too), or null */
+function authCodeOwner(code) {
+    if (typeof code !== 'string') return null;
+    const entry = codeStore.get().codes[hash(code)];
+    return entry ? { sub: entry.user.id, device: entry.device?.deviceId || null } : null;
+}
+
+/**
+ * Verify signature (against any key in the set), expiry and the revocation list.
+ * Returns { payload } or { reason: 'invalid' | 'expired' | 'revoked' } — only
+ * 'invalid' (forged, malformed, unknown key) is suspicious.
+ */
+function checkToken(token) {
+    let payload;
+    try {
+        const kid = jwt.decode(token, { complete: true })?.header?.kid;
+        const key = keys.findKey(kid);
+        if (!key) return { reason: 'invalid' };
+        payload = jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+    } catch (err) {
+        return { reason: err instanceof jwt.TokenExpiredError ? 'expired' : 'invalid' };
+    }
+    const data = store.get();
+    if (payload.jti && data.revoked[payload.jti]) return { reason: 'revoked' };
+    if (payload.sid && data.families[payload.sid]?.revokedAt) return { reason: 'revoked' };
+    const changed = data.profiles[payload.sub];
+    if (changed && changed.changedAt >= payload.iat) {
+        const { email, name, picture } = changed;
+        return { payload: { ...payload, email, name, picture } };
+    }
+    return { payload };
+}
+
+function verifyToken(token) {
+    return checkToken(token).payload || null;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL,
+    isValidCodeChallenge,
+    createAuthCode,
+    redeemAuthCode,
+    authCodeOwner,
+    issueTokens,
+    rotateRefreshToken,
+    revokeToken,
+    revokeFamily,
+    revokeAllForUser,
+    revokeIdpSession,
+    revokeForOrganization,
+    revokeRefreshToken,
+    refreshTokenOwner,
+    updateProfile,
+    sessionsForUser,
+    checkToken,
+    verifyToken,
+};
@@ -0,0 +1,34 @@
+/**
+ * Everything the server stores about a user, for export and deletion.
+ *
+ * Each store that keeps per-user records registers itself in server.js with
+ * an `exportFor(userId)` and a `deleteFor(userId)`. GET /api/me/export and
+ * account deletion then walk the whole registry, so a new store can't be
+ * forgotten by one of them.
+ */
+
+const sources = new Map();
+
+/** Register a per-user data source under a stable export key */
+function register(name, { exportFor, deleteFor }) {
+    if (sources.has(name)) throw new Error(`User data source already registered: ${name}`);
+    sources.set(name, { exportFor, deleteFor });
+}
+
+/** Collect every source's records for a user */
+async function exportAll(userId) {
+    const out = {};
+    for (const [name, source] of sources) {
+        out[name] = await source.exportFor(userId);
+    }
+    return out;
+}
+
+/** Wipe a user from every source */
+async function deleteAll(userId) {
+    for (const source of sources.values()) {
+        await source.deleteFor(userId);
+    }
+}
+
+module.exports = { register, exportAll, deleteAll };
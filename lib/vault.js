@@ -0,0 +1,298 @@
+/**
+ * End-to-end encrypted vault backups.
+ *
+ * The desktop app encrypts the vault before it leaves the machine; the
+ * server only ever stores opaque bytes plus an opaque, client-encrypted
+ * `header` (key-wrapping info, app version, …). Uploads are chunked so each
+ * request stays under serverless body limits:
+ *
+ *   create (declares size + SHA-256) → PUT chunks → complete (hash verified)
+ *
+ * Status goes uploading → assembling (one complete call at a time) →
+ * complete, or back to uploading when the assembled bytes don't verify.
+ *
+ * Per user: a byte quota, a maximum number of kept snapshots and a maximum
+ * age. Unfinished uploads are discarded after a day.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { openStore, DATA_DIR } = require('./store');
+
+const CHUNK_SIZE = 4 * 1024 * 1024;                                    // 4 MB
+const QUOTA_BYTES = (parseInt(process.env.VAULT_QUOTA_MB, 10) || 200) * 1024 * 1024;
+const MAX_SNAPSHOTS = parseInt(process.env.VAULT_MAX_SNAPSHOTS, 10) || 10;
+const RETENTION_DAYS = parseInt(process.env.VAULT_RETENTION_DAYS, 10) || 90;
+const UPLOAD_TTL = 24 * 60 * 60 * 1000;                                 // 1 day
+const MAX_HEADER_LENGTH = 8 * 1024;
+
+const BLOB_DIR = path.join(DATA_DIR, 'vault');
+
+// snapshots: id → { id, userId, status (uploading | assembling | complete), size, sha256, chunkCount, received, header, createdAt, completedAt }
+const store = openStore('vault', { snapshots: {} });
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+const userDir = (userId) => path.join(BLOB_DIR, sha256(userId).slice(0, 32));
+const snapshotDir = (s) => path.join(userDir(s.userId), s.id);
+const blobPath = (s) => path.join(snapshotDir(s), 'snapshot.bin');
+const chunkPath = (s, index) => path.join(snapshotDir(s), `chunk-${index}`);
+
+/** Public shape of a snapshot record */
+function describe(s) {
+    return {
+        id: s.id,
+        status: s.status,
+        size: s.size,
+        sha256: s.sha256,
+        chunkSize: CHUNK_SIZE,
+        chunkCount: s.chunkCount,
+        receivedChunks: s.status === 'uploading' ? s.received.length : s.chunkCount,
+        header: s.header,
+        createdAt: s.createdAt,
+        completedAt: s.completedAt,
+    };
+}
+
+function removeFiles(s) {
+    fs.rmSync(snapshotDir(s), { recursive: true, force: true });
+}
+
+function forUser(data, userId) {
+    return Object.values(data.snapshots).filter((s) => s.userId === userId);
+}
+
+/** Completed snapshots, newest first */
+function completed(data, userId) {
+    return forUser(data, userId)
+        .filter((s) => s.status === 'complete')
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+}
+
+/**
+ * Apply retention for one user: drop stale uploads, snapshots beyond the
+ * count limit and snapshots past the age limit — but never the newest one.
+ */
+function enforceRetention(data, userId) {
+    const now = Date.now();
+    for (const s of forUser(data, userId)) {
+        // Also uploads left 'assembling' by a process that died mid-way
+        if (s.status !== 'complete' && now - Date.parse(s.createdAt) > UPLOAD_TTL) {
+            removeFiles(s);
+            delete data.snapshots[s.id];
+        }
+    }
+    completed(data, userId).forEach((s, i) => {
+        const tooOld = now - Date.parse(s.completedAt) > RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        if (i > 0 && (i >= MAX_SNAPSHOTS || tooOld)) {
+            removeFiles(s);
+            delete data.snapshots[s.id];
+        }
+    });
+}
+
+function usage(data, userId) {
+    return forUser(data, userId).reduce((sum, s) => sum + s.size, 0);
+}
+
+/** Quota figures for the list endpoint */
+function quota(userId) {
+    return {
+        usedBytes: usage(store.get(), userId),
+        quotaBytes: QUOTA_BYTES,
+        maxSnapshots: MAX_SNAPSHOTS,
+        retentionDays: RETENTION_DAYS,
+    };
+}
+
+/** Start an upload. Returns { snapshot } or { error, status } */
+function createUpload(userId, { size, sha256: hash, header } = {}) {
+    if (!Number.isSafeInteger(size) || size <= 0) {
+        return { error: 'size must be a positive integer (bytes)', status: 400 };
+    }
+    if (typeof hash !== 'string' || !/^[a-f0-9]{64}$/.test(hash)) {
+        return { error: 'sha256 must be the hex SHA-256 of the encrypted snapshot', status: 400 };
+    }
+    if (header !== undefined && (typeof header !== 'string' || header.length > MAX_HEADER_LENGTH)) {
+        return { error: `header must be an opaque string of at most ${MAX_HEADER_LENGTH} characters`, status: 400 };
+    }
+
+    return store.update((data) => {
+        enforceRetention(data, userId);
+
+        // Snapshots that completing this one would push out don't count
+        const evictable = completed(data, userId).slice(Math.max(MAX_SNAPSHOTS - 1, 1));
+        const used = usage(data, userId) - evictable.reduce((sum, s) => sum + s.size, 0);
+        if (used + size > QUOTA_BYTES) {
+            return { error: 'Vault backup quota exceeded. Delete older snapshots first.', status: 413 };
+        }
+
+        const snapshot = {
+            id: crypto.randomUUID(),
+            userId,
+            status: 'uploading',
+            size,
+            sha256: hash,
+            chunkCount: Math.ceil(size / CHUNK_SIZE),
+            received: [],
+            header: header ?? null,
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+        };
+        data.snapshots[snapshot.id] = snapshot;
+        return { snapshot: describe(snapshot) };
+    });
+}
+
+function findOwn(data, userId, id) {
+    const s = data.snapshots[id];
+    return s && s.userId === userId ? s : null;
+}
+
+/** Store one chunk. Returns { snapshot } or { error, status } */
+async function putChunk(userId, id, index, body, expectedHash) {
+    const s = findOwn(store.get(), userId, id);
+    if (!s) return { error: 'Snapshot not found', status: 404 };
+    if (s.status !== 'uploading') return { error: `Snapshot is already ${s.status === 'complete' ? 'complete' : 'being assembled'}`, status: 409 };
+    if (!Number.isInteger(index) || index < 0 || index >= s.chunkCount) {
+        return { error: `Chunk index must be between 0 and ${s.chunkCount - 1}`, status: 400 };
+    }
+
+    const expectedSize = index === s.chunkCount - 1 ? s.size - index * CHUNK_SIZE : CHUNK_SIZE;
+    if (!Buffer.isBuffer(body) || body.length !== expectedSize) {
+        return { error: `Chunk ${index} must be exactly ${expectedSize} bytes`, status: 400 };
+    }
+    if (expectedHash && sha256(body) !== String(expectedHash).toLowerCase()) {
+        return { error: 'Chunk does not match its X-Content-SHA256 header', status: 422 };
+    }
+
+    await fs.promises.mkdir(snapshotDir(s), { recursive: true });
+    await fs.promises.writeFile(chunkPath(s, index), body);
+
+    return store.update((data) => {
+        const current = data.snapshots[id];
+        if (!current) return { error: 'Snapshot not found', status: 404 };
+        if (current.status !== 'uploading') return { error: 'Snapshot is already being assembled', status: 409 };
+        if (!current.received.includes(index)) current.received.push(index);
+        return { snapshot: describe(current) };
+    });
+}
+
+/** Assemble the chunks, verify the declared hash and apply retention */
+async function complete(userId, id) {
+    // Claim the snapshot first, so a second (retried, concurrent) call can't
+    // assemble it alongside this one
+    const claim = store.update((data) => {
+        const current = findOwn(data, userId, id);
+        if (!current) return { error: 'Snapshot not found', status: 404 };
+        if (current.status === 'complete') return { snapshot: describe(current) };
+        if (current.status === 'assembling') return { error: 'Snapshot is already being assembled', status: 409 };
+
+        const missing = [];
+        for (let i = 0; i < current.chunkCount; i++) if (!current.received.includes(i)) missing.push(i);
+        if (missing.length) {
+            return { error: `Missing chunks: ${missing.slice(0, 20).join(', ')}`, status: 409 };
+        }
+        current.status = 'assembling';
+        return { claimed: { ...current } };
+    });
+    if (!claim.claimed) return claim;
+    const s = claim.claimed;
+
+    /** Back to 'uploading' (optionally with all chunks to re-send), unless deleted meanwhile */
+    const reopen = (resetChunks) => store.update((data) => {
+        const current = data.snapshots[id];
+        if (!current) return false;
+        current.status = 'uploading';
+        if (resetChunks) current.received = [];
+        return true;
+    });
+
+    const hash = crypto.createHash('sha256');
+    try {
+        await pipeline(async function* () {
+            for (let i = 0; i < s.chunkCount; i++) {
+                const chunk = await fs.promises.readFile(chunkPath(s, i));
+                hash.update(chunk);
+                yield chunk;
+            }
+        }, fs.createWriteStream(blobPath(s)));
+    } catch (err) {
+        // Deleted (chunks and all) while we were assembling it
+        if (!reopen(false)) return { error: 'Snapshot not found', status: 404 };
+        throw err;
+    }
+
+    if (hash.digest('hex') !== s.sha256) {
+        // Keep the upload open so the client can re-send the bad chunks
+        await fs.promises.rm(blobPath(s), { force: true });
+        reopen(true);
+        return { error: 'Assembled snapshot does not match the declared sha256 — re-upload all chunks', status: 422 };
+    }
+
+    for (let i = 0; i < s.chunkCount; i++) await fs.promises.rm(chunkPath(s, i), { force: true });
+
+    const result = store.update((data) => {
+        const current = data.snapshots[id];
+        if (!current) return { error: 'Snapshot not found', status: 404 };
+        current.status = 'complete';
+        current.completedAt = new Date().toISOString();
+        current.received = [];
+        enforceRetention(data, userId);
+        return { snapshot: describe(current) };
+    });
+    // Deleted while we were assembling it: don't leave the blob behind
+    if (result.error) removeFiles(s);
+    return result;
+}
+
+/** All of a user's snapshots, newest first */
+function list(userId) {
+    return forUser(store.get(), userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(describe);
+}
+
+/** A completed snapshot and where its bytes live, or { error, status } */
+function getBlob(userId, id) {
+    const s = findOwn(store.get(), userId, id);
+    if (!s) return { error: 'Snapshot not found', status: 404 };
+    if (s.status !== 'complete') return { error: 'Snapshot upload has not completed', status: 409 };
+    return { snapshot: describe(s), file: blobPath(s) };
+}
+
+function remove(userId, id) {
+    return store.update((data) => {
+        const s = findOwn(data, userId, id);
+        if (!s) return false;
+        removeFiles(s);
+        delete data.snapshots[id];
+        return true;
+    });
+}
+
+/** Snapshot metadata for account export (the encrypted bytes stay downloadable via the API) */
+function exportForUser(userId) {
+    return list(userId);
+}
+
+function deleteForUser(userId) {
+    store.update((data) => {
+        for (const s of forUser(data, userId)) delete data.snapshots[s.id];
+    });
+    fs.rmSync(userDir(userId), { recursive: true, force: true });
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    quota,
+    createUpload,
+    putChunk,
+    complete,
+    list,
+    getBlob,
+    remove,
+    exportForUser,
+    deleteForUser,
+};
@@ -0,0 +1,219 @@
+/**
+ * macOS / Linux waitlist with double opt-in.
+ *
+ * Joining records a pending entry and emails a confirmation link; the link
+ * opens a page that confirms on POST, since mail scanners open links too.
+ * Only confirmed addresses are ever mailed again, and only once per platform
+ * release (scripts/waitlist-broadcast.js). Those mails carry an unsubscribe
+ * link signed with an HMAC of the entry ID, so no token has to be stored
+ * and nobody can unsubscribe someone else.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const i18n = require('./i18n');
+
+const PLATFORMS = ['darwin', 'linux'];
+const PLATFORM_NAMES = { darwin: 'macOS', linux: 'Linux' };
+const CONFIRM_TTL = 48 * 60 * 60 * 1000;       // confirmation links last two days
+const RESEND_INTERVAL = 10 * 60 * 1000;        // at most one confirmation mail per 10 minutes
+
+// secret: HMAC key for unsubscribe links
+// entries: id → { id, email, platform, locale, status: pending|confirmed|unsubscribed,
+//                 confirmHash, confirmSentAt, createdAt, confirmedAt, unsubscribedAt, notified: [version] }
+const store = openStore('waitlist', { secret: null, entries: {} });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function normalizeEmail(email) {
+    if (typeof email !== 'string') return null;
+    const clean = email.trim().toLowerCase();
+    return clean.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean) ? clean : null;
+}
+
+function secret() {
+    const { secret: existing } = store.get();
+    if (existing) return existing;
+    return store.update((data) => {
+        data.secret = data.secret || crypto.randomBytes(32).toString('base64');
+        return data.secret;
+    });
+}
+
+function signature(id) {
+    return crypto.createHmac('sha256', secret()).update(`unsubscribe|${id}`).digest('base64url');
+}
+
+/** Forget confirmations nobody clicked */
+function purgeStale(data) {
+    const now = Date.now();
+    for (const entry of Object.values(data.entries)) {
+        if (entry.status === 'pending' && entry.confirmSentAt && now - Date.parse(entry.confirmSentAt) > CONFIRM_TTL) {
+            delete data.entries[entry.id];
+        }
+    }
+}
+
+/**
+ * Join (or re-join) the list. Returns { error, status }, or { entry } plus a
+ * `confirmToken` when a confirmation mail should go out. Already-confirmed
+ * addresses and recent repeats get no token, so the caller can answer every
+ * request the same way without revealing who is on the list.
+ */
+function join({ email, platform, locale } = {}) {
+    const address = normalizeEmail(email);
+    if (!address) return { error: 'A valid email address is required', status: 400 };
+    if (!PLATFORMS.includes(platform)) {
+        return { error: `platform must be one of ${PLATFORMS.join(', ')}`, status: 400 };
+    }
+
+    return store.update((data) => {
+        purgeStale(data);
+        let entry = Object.values(data.entries).find((e) => e.email === address && e.platform === platform);
+        if (entry?.status === 'confirmed') return { entry };
+        const recentlySent = entry?.status === 'pending' && entry.confirmSentAt
+            && Date.now() - Date.parse(entry.confirmSentAt) < RESEND_INTERVAL;
+        if (recentlySent) return { entry };
+
+        const now = new Date().toISOString();
+        if (!entry) {
+            entry = { id: crypto.randomUUID(), email: address, platform, createdAt: now, notified: [] };
+            data.entries[entry.id] = entry;
+        }
+        const confirmToken = crypto.randomBytes(24).toString('base64url');
+        Object.assign(entry, {
+            locale: i18n.isLocale(locale) ? locale : i18n.DEFAULT_LOCALE,
+            status: 'pending',
+            confirmHash: sha256(confirmToken),
+            confirmSentAt: now,
+            confirmedAt: null,
+            unsubscribedAt: null,
+        });
+        return { entry, confirmToken };
+    });
+}
+
+/**
+ * The confirmation mail for `confirmToken` could not be sent: forget the
+ * entry if this join created it, otherwise the token, so a retry sends a
+ * fresh mail right away instead of waiting out RESEND_INTERVAL.
+ */
+function confirmationFailed(id, confirmToken) {
+    store.update((data) => {
+        const entry = data.entries[id];
+        if (!entry || entry.confirmHash !== sha256(confirmToken)) return;
+        if (entry.createdAt === entry.confirmSentAt) delete data.entries[id];
+        else Object.assign(entry, { confirmHash: null, confirmSentAt: null });
+    });
+}
+
+function pendingFor(data, token) {
+    if (typeof token !== 'string' || !token) return null;
+    const hash = sha256(token);
+    const entry = Object.values(data.entries).find((e) => e.confirmHash === hash);
+    return entry && Date.now() - Date.parse(entry.confirmSentAt) <= CONFIRM_TTL ? entry : null;
+}
+
+/** The entry an emailed confirmation link is for, without confirming it; null when invalid/expired */
+function fromConfirmLink(token) {
+    return pendingFor(store.get(), token);
+}
+
+/** Confirm from the emailed link (on POST); returns the entry or null when invalid/expired */
+function confirm(token) {
+    if (!fromConfirmLink(token)) return null;
+    return store.update((data) => {
+        const entry = pendingFor(data, token);
+        if (!entry) return null;
+        Object.assign(entry, { status: 'confirmed', confirmHash: null, confirmedAt: new Date().toISOString() });
+        return entry;
+    });
+}
+
+/** The entry a signed unsubscribe link points at, or null when the signature is wrong */
+function fromUnsubscribeLink(id, sig) {
+    const entry = store.get().entries[id];
+    if (!entry || typeof sig !== 'string') return null;
+    const expected = Buffer.from(signature(id));
+    const given = Buffer.from(sig);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? entry : null;
+}
+
+function unsubscribe(id, sig) {
+    if (!fromUnsubscribeLink(id, sig)) return false;
+    store.update((data) => {
+        Object.assign(data.entries[id], { status: 'unsubscribed', unsubscribedAt: new Date().toISOString() });
+    });
+    return true;
+}
+
+/** Confirmed entries for a platform that haven't been told about this version yet */
+function pendingAnnouncement(platform, version) {
+    return Object.values(store.get().entries)
+        .filter((e) => e.platform === platform && e.status === 'confirmed' && !e.notified.includes(version));
+}
+
+function markNotified(id, version) {
+    store.update((data) => {
+        const entry = data.entries[id];
+        if (entry && !entry.notified.includes(version)) entry.notified.push(version);
+    });
+}
+
+function counts() {
+    const totals = Object.fromEntries(PLATFORMS.map((p) => [p, { pending: 0, confirmed: 0, unsubscribed: 0 }]));
+    for (const entry of Object.values(store.get().entries)) totals[entry.platform][entry.status]++;
+    return totals;
+}
+
+// ─── Emails ────────────────────────────────────────────────────────────────────
+// Built here so the server and the broadcast script word them the same way.
+
+function unsubscribeUrl(entry, baseUrl) {
+    const url = new URL('/waitlist/unsubscribe', baseUrl);
+    url.search = new URLSearchParams({ id: entry.id, sig: signature(entry.id) });
+    return url.toString();
+}
+
+function confirmationEmail(entry, confirmToken, baseUrl) {
+    const t = i18n.translator(entry.locale);
+    const platform = PLATFORM_NAMES[entry.platform];
+    const link = new URL(`/waitlist/confirm?token=${confirmToken}`, baseUrl).toString();
+    return {
+        to: entry.email,
+        subject: t('emails.waitlist.confirmSubject', { platform }),
+        text: t('emails.waitlist.confirmBody', { platform, link }),
+    };
+}
+
+/** Launch announcement; `links` are the download URLs, one per architecture */
+function launchEmail(entry, version, links, baseUrl) {
+    const t = i18n.translator(entry.locale);
+    const platform = PLATFORM_NAMES[entry.platform];
+    const unsubscribe = unsubscribeUrl(entry, baseUrl);
+    return {
+        to: entry.email,
+        subject: t('emails.waitlist.launchSubject', { platform, version }),
+        text: t('emails.waitlist.launchBody', { platform, version, links: links.join('\n'), unsubscribe }),
+        headers: {
+            'List-Unsubscribe': `<${unsubscribe}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+    };
+}
+
+module.exports = {
+    PLATFORMS,
+    PLATFORM_NAMES,
+    join,
+    confirmationFailed,
+    fromConfirmLink,
+    confirm,
+    fromUnsubscribeLink,
+    unsubscribe,
+    pendingAnnouncement,
+    markNotified,
+    counts,
+    confirmationEmail,
+    launchEmail,
+};
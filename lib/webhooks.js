@@ -0,0 +1,124 @@
+/**
+ * WorkOS webhooks (POST /webhooks/workos), so changes made in WorkOS reach
+ * sessions we issued instead of waiting out the 30-day refresh tokens.
+ *
+ * Deliveries are signed: `WorkOS-Signature: t=<ms>, v1=<hex>` where v1 is
+ * HMAC-SHA256(WORKOS_WEBHOOK_SECRET, `${t}.${raw body}`). Anything unsigned,
+ * mis-signed or with a timestamp outside SIGNATURE_TOLERANCE is refused. A
+ * valid delivery can still be replayed, so each event ID is accepted once
+ * (shared rate-limit backend, kept for a day); repeats are acknowledged and
+ * ignored, and profile updates older than the last one applied are skipped.
+ *
+ *   user.updated                       new email / name / picture in every session
+ *   user.deleted                       all sessions revoked
+ *   session.revoked                    the sessions started from that WorkOS session
+ *   organization_membership.updated    inactive (suspended) or removed members lose
+ *   organization_membership.deleted    the sessions signed in through that organization
+ */
+
+const crypto = require('crypto');
+const tokens = require('./tokens');
+const limits = require('./limits');
+
+const SIGNATURE_TOLERANCE = 3 * 60 * 1000;   // WorkOS' own default
+const EVENT_ID_TTL = 24 * 60 * 60 * 1000;    // retries arrive within hours
+
+function configured() {
+    return Boolean(process.env.WORKOS_WEBHOOK_SECRET);
+}
+
+/** Parse `t=…, v1=…` into { timestamp, signature } */
+function parseHeader(header) {
+    const parts = Object.fromEntries(String(header || '').split(',').map((part) => {
+        const [key, ...value] = part.trim().split('=');
+        return [key, value.join('=')];
+    }));
+    return { timestamp: Number(parts.t), signature: parts.v1 };
+}
+
+/**
+ * Check the signature of a raw delivery body and parse it.
+ * Returns { event } or { error, status }.
+ */
+function verify(rawBody, header, now = Date.now()) {
+    const { timestamp, signature } = parseHeader(header);
+    if (!Number.isFinite(timestamp) || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+        return { error: 'Missing or malformed WorkOS-Signature header', status: 401 };
+    }
+    if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE) {
+        return { error: 'Signature timestamp outside the tolerance window', status: 401 };
+    }
+    const expected = crypto.createHmac('sha256', process.env.WORKOS_WEBHOOK_SECRET)
+        .update(`${timestamp}.`).update(rawBody).digest();
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+        return { error: 'Signature does not match', status: 401 };
+    }
+
+    let event;
+    try {
+        event = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+        return { error: 'Body is not JSON', status: 400 };
+    }
+    if (typeof event?.id !== 'string' || typeof event.event !== 'string' || !event.data) {
+        return { error: 'Not a WorkOS event', status: 400 };
+    }
+    return { event };
+}
+
+/** WorkOS' snake_case user object in the shape identity providers return */
+function userFromEvent(data) {
+    return {
+        id: data.id,
+        email: data.email,
+        firstName: data.first_name || null,
+        lastName: data.last_name || null,
+        profilePictureUrl: data.profile_picture_url || null,
+    };
+}
+
+const HANDLERS = {
+    'user.updated': (data) => {
+        const applied = tokens.updateProfile(userFromEvent(data), data.updated_at);
+        return applied ? 'profile_updated' : 'stale';
+    },
+    'user.deleted': (data) => {
+        tokens.revokeAllForUser(data.id, 'idp_user_deleted');
+        return 'sessions_revoked';
+    },
+    'session.revoked': (data) => {
+        const revoked = tokens.revokeIdpSession(data.id, 'idp_session_revoked');
+        return revoked ? 'sessions_revoked' : 'unknown_session';
+    },
+    'organization_membership.updated': (data) => {
+        if (data.status !== 'inactive') return 'ignored';
+        tokens.revokeForOrganization(data.user_id, data.organization_id, 'idp_membership_inactive');
+        return 'sessions_revoked';
+    },
+    'organization_membership.deleted': (data) => {
+        tokens.revokeForOrganization(data.user_id, data.organization_id, 'idp_membership_deleted');
+        return 'sessions_revoked';
+    },
+};
+
+/**
+ * Apply a verified event once. Returns the outcome — 'duplicate' for an
+ * event ID seen before, 'ignored' for event types we don't act on.
+ */
+async function handle(event) {
+    const handler = HANDLERS[event.event];
+    if (!handler) return 'ignored';
+
+    const key = `webhook:${event.id}`;
+    const { count } = await limits.backend.increment(key, EVENT_ID_TTL);
+    if (count > 1) return 'duplicate';
+    try {
+        return handler(event.data);
+    } catch (err) {
+        // Let WorkOS' retry of this event through
+        await limits.backend.reset(key);
+        throw err;
+    }
+}
+
+module.exports = { configured, verify, handle };
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * add-release.js
+ *
+ * Records a built installer in content/releases.json, computing the size and
+ * SHA-512 (base64, as electron-updater expects) from the file itself.
+ *
+ *   node scripts/add-release.js dist/Deskly-Setup-1.1.0.exe --version 1.1.0
+ *       [--channel stable|beta] [--platform win32|darwin|linux] [--arch x64|arm64]
+ *       [--date YYYY-MM-DD] [--url https://…]
+ *
+ * Upload the installer to the downloads location (DOWNLOADS_BASE_URL) separately.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY = path.join(__dirname, '..', 'content', 'releases.json');
+
+function arg(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+const installer = process.argv[2];
+const version = arg('version');
+if (!installer || installer.startsWith('--') || !version) {
+    console.error('Usage: node scripts/add-release.js <installer> --version x.y.z [--channel beta] [--platform win32] [--arch x64]');
+    process.exit(1);
+}
+
+const bytes = fs.readFileSync(installer);
+const entry = {
+    platform: arg('platform', 'win32'),
+    arch: arg('arch', 'x64'),
+    file: path.basename(installer),
+    size: bytes.length,
+    sha512: crypto.createHash('sha512').update(bytes).digest('base64'),
+};
+if (arg('url')) entry.url = arg('url');
+
+const registry = JSON.parse(fs.readFileSync(REGISTRY, 'utf8'));
+let release = registry.releases.find((r) => r.version === version);
+if (!release) {
+    release = {
+        version,
+        channel: arg('channel', version.includes('-') ? 'beta' : 'stable'),
+        date: arg('date', new Date().toISOString().slice(0, 10)),
+        files: [],
+    };
+    registry.releases.push(release);
+}
+release.files = release.files.filter((f) => !(f.platform === entry.platform && f.arch === entry.arch));
+release.files.push(entry);
+
+fs.writeFileSync(REGISTRY, JSON.stringify(registry, null, 2) + '\n');
+console.log(`  ✓ ${version} (${release.channel}) ${entry.platform}/${entry.arch} — ${entry.file}, ${entry.size} bytes`);
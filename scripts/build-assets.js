@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * build-assets.js
+ *
+ * Minifies, hashes and precompresses the landing page assets (lib/assets.js)
+ * into dist/assets/, so the server doesn't have to at startup. Run it when
+ * deploying, before npm start; the output is not committed.
+ *
+ *   npm run build:assets
+ */
+
+const assets = require('../lib/assets');
+
+const started = Date.now();
+const built = assets.build();
+const manifest = assets.writeBuild(built);
+
+for (const [name, file] of Object.entries(manifest.files)) {
+    const { body, br, gzip } = built.files[file];
+    console.log(`  ✓ ${file.padEnd(28)} ${name.padEnd(12)} ${body.length} B → br ${br.length} B, gzip ${gzip.length} B`);
+}
+console.log(`\nAssets built in dist/assets/ (${Date.now() - started} ms)`);
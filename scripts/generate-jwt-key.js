@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * generate-jwt-key.js
+ *
+ * Prints a new JWT signing key entry for JWT_SIGNING_KEYS.
+ *
+ *   node scripts/generate-jwt-key.js          → RSA 2048 (RS256)
+ *   node scripts/generate-jwt-key.js --ec     → P-256 (ES256)
+ *
+ * Rotation: prepend the printed entry with "active": true, drop the flag from
+ * the previous key, and remove the old key once its tokens have expired.
+ */
+
+const crypto = require('crypto');
+
+const useEc = process.argv.includes('--ec');
+const { privateKey } = useEc
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const date = new Date().toISOString().slice(0, 10);
+const entry = {
+    kid: `${date}-${crypto.randomBytes(3).toString('hex')}`,
+    active: true,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+};
+
+console.log(JSON.stringify(entry));
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * vendor-icons.js
+ *
+ * Copies the brand icons the site shows from the simple-icons package (CC0)
+ * into assets/icons/, where lib/assets builds them into one SVG sprite:
+ * every `simpleicons` slug in content/catalog.json plus the ones the landing
+ * page mockup uses. Re-run after adding a browser to the catalog and commit
+ * the result — the site itself never fetches icons from elsewhere.
+ *
+ *   npm run vendor:icons
+ *
+ * Slugs simple-icons doesn't have are reported; those browsers keep showing
+ * a letter badge.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const simpleIcons = require('simple-icons');
+const catalog = require('../lib/catalog');
+
+const OUT = path.join(__dirname, '..', 'assets', 'icons');
+// Used by views/landing.html outside the catalog
+const EXTRA_SLUGS = ['spotify'];
+
+const bySlug = new Map(Object.values(simpleIcons).map((icon) => [icon.slug, icon]));
+const slugs = [...new Set([
+    ...catalog.current().data.browsers.filter((b) => b.icon.type === 'simpleicons').map((b) => b.icon.slug),
+    ...EXTRA_SLUGS,
+])].sort();
+
+fs.mkdirSync(OUT, { recursive: true });
+const missing = [];
+for (const slug of slugs) {
+    const icon = bySlug.get(slug);
+    if (!icon) {
+        missing.push(slug);
+        continue;
+    }
+    fs.writeFileSync(path.join(OUT, `${slug}.svg`), `${icon.svg}\n`);
+    console.log(`  ✓ ${slug}.svg (${icon.title})`);
+}
+
+if (missing.length) console.warn(`\nNot in simple-icons, shown as letters: ${missing.join(', ')}`);
+console.log(`\n${slugs.length - missing.length} icons written to assets/icons/`);
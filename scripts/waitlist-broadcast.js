@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * waitlist-broadcast.js
+ *
+ * Emails everyone confirmed on a platform's waitlist once its build ships.
+ * The release must already be in content/releases.json (npm run release:add).
+ *
+ *   node scripts/waitlist-broadcast.js --platform darwin|linux
+ *       [--version x.y.z] [--dry-run]
+ *
+ * Without --version the latest stable release with a build for the platform
+ * is announced; the links download that version's builds even after a newer
+ * one ships. Each address is marked as notified for that version as soon as
+ * its mail is accepted, so re-running after a failure resumes where it
+ * stopped and never mails anyone twice. An address the mail server refuses
+ * is logged and skipped; the rest still get their mail.
+ */
+
+require('dotenv').config();
+
+const releases = require('../lib/releases');
+const waitlist = require('../lib/waitlist');
+const mailer = require('../lib/mailer');
+
+function arg(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+const platform = arg('platform');
+const dryRun = process.argv.includes('--dry-run');
+if (!waitlist.PLATFORMS.includes(platform)) {
+    console.error(`Usage: node scripts/waitlist-broadcast.js --platform ${waitlist.PLATFORMS.join('|')} [--version x.y.z] [--dry-run]`);
+    process.exit(1);
+}
+
+const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+const version = arg('version');
+const release = releases.listReleases({ channel: 'stable', platform })
+    .find((r) => !version || r.version === version);
+if (!release) {
+    console.error(`No stable ${platform} release${version ? ` ${version}` : ''} in content/releases.json`);
+    process.exit(1);
+}
+
+// Through /download/<version> so the downloads are counted like the site's own
+const links = release.files.map((f) => {
+    const url = new URL(`/download/${encodeURIComponent(release.version)}`, baseUrl);
+    url.search = new URLSearchParams({ platform, arch: f.arch });
+    return `${f.arch}: ${url}`;
+});
+
+async function broadcast() {
+    const recipients = waitlist.pendingAnnouncement(platform, release.version);
+    console.log(`${recipients.length} confirmed ${platform} subscriber(s) to tell about ${release.version}`);
+    if (dryRun || !recipients.length) return;
+
+    let session = await mailer.openSession();
+    let sent = 0;
+    let failed = 0;
+    try {
+        for (const entry of recipients) {
+            try {
+                await session.send(waitlist.launchEmail(entry, release.version, links, baseUrl));
+            } catch (err) {
+                failed++;
+                console.error(`  ✗ ${entry.email}: ${err.message}`);
+                session = await recover(session);
+                continue;
+            }
+            waitlist.markNotified(entry.id, release.version);
+            sent++;
+        }
+    } finally {
+        await session.close();
+        console.log(`  ✓ ${sent} sent${failed ? `, ✗ ${failed} failed (re-run to retry them)` : ''}`);
+    }
+    if (failed) process.exitCode = 1;
+}
+
+/** Back to a clean state after a failed message: RSET, or a new connection if that fails too */
+async function recover(session) {
+    try {
+        await session.reset();
+        return session;
+    } catch {
+        await session.close();
+        return mailer.openSession();
+    }
+}
+
+broadcast().catch((err) => { console.error(err); process.exit(1); });
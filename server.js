@@ -1,91 +1,302 @@
 /**
  * Deskly Website & Auth Server
  * 
- * Serves the deskly.in landing page and handles WorkOS OAuth
- * for the Deskly desktop app (Electron).
+ * Serves the deskly.in landing page and handles sign-in for the Deskly
+ * desktop app (Electron) through a pluggable identity provider — WorkOS,
+ * generic OIDC, or a local mock (see lib/identity).
  * 
  * Auth flow:
- *   1. Desktop app opens https://deskly.in/auth/login?device_id=xxx
- *   2. Server redirects to WorkOS OAuth (Google, SSO, etc.)
- *   3. WorkOS redirects back to /auth/callback with ?code=xxx
- *   4. Server exchanges code for user info via WorkOS SDK
- *   5. Server creates a signed JWT and redirects to deskly://auth/callback?token=xxx
- *   6. Electron app handles the deep link, stores the token, shows the user as signed in
+ *   1. Desktop app creates a PKCE verifier and opens
+ *      https://deskly.in/auth/login?device_id=xxx&device_name=…&platform=win32&code_challenge=yyy
+ *   2. Server redirects to the identity provider (WorkOS AuthKit, OIDC, mock consent)
+ *   3. The provider redirects back to /auth/callback with ?code=xxx
+ *   4. Server exchanges the code for the user's profile
+ *   5. Server mints a single-use code and redirects to deskly://auth/callback?code=zzz
+ *   6. Electron app POSTs { code, code_verifier } to /api/token and receives a
+ *      short-lived access JWT plus a rotating refresh token
+ *   7. When the access token expires the app calls POST /auth/refresh to rotate both
  */
 
 require('dotenv').config();
 
 const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
-const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { WorkOS } = require('@workos-inc/node');
+const tokens = require('./lib/tokens');
+const keys = require('./lib/keys');
+const releases = require('./lib/releases');
+const csp = require('./lib/csp');
+const i18n = require('./lib/i18n');
+const devices = require('./lib/devices');
+const userData = require('./lib/user-data');
+const vault = require('./lib/vault');
+const analytics = require('./lib/analytics');
+const admin = require('./lib/admin');
+const content = require('./lib/content');
+const identity = require('./lib/identity');
+const limits = require('./lib/limits');
+const sso = require('./lib/sso');
+const catalog = require('./lib/catalog');
+const shares = require('./lib/shares');
+const ogImage = require('./lib/og-image');
+const mailer = require('./lib/mailer');
+const waitlist = require('./lib/waitlist');
+const multipart = require('./lib/multipart');
+const pow = require('./lib/pow');
+const feedback = require('./lib/feedback');
+const crashes = require('./lib/crashes');
+const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const health = require('./lib/health');
+const settings = require('./lib/settings');
+const assets = require('./lib/assets');
+const webhooks = require('./lib/webhooks');
 
 const app = express();
 
-// Behind Vercel / any reverse proxy — needed for rate-limit & secure cookies
+// Behind a reverse proxy — needed for rate-limit & secure cookies
 app.set('trust proxy', 1);
 const port = process.env.PORT || 4000;
 const baseUrl = process.env.BASE_URL || `http://localhost:${port}`;
 const isProduction = process.env.NODE_ENV === 'production';
 const desktopScheme = process.env.DESKTOP_SCHEME || 'deskly';
+// Report violations without blocking while a policy change is being rolled out
+const cspReportOnly = process.env.CSP_REPORT_ONLY === 'true';
 
-// ─── JWT Secret ────────────────────────────────────────────────────────────────
-// In production, refuse to start without a real secret
-const jwtSecret = process.env.JWT_SECRET;
-if (!jwtSecret && isProduction) {
-    console.error('FATAL: JWT_SECRET is required in production. Set it in your .env file.');
-    process.exit(1);
-}
-const JWT_KEY = jwtSecret || 'dev-secret-change-me';
-
-// WorkOS client (lazy init — only needed for auth routes)
-let workos = null;
-function getWorkOS() {
-    if (!workos) {
-        workos = new WorkOS({
-            apiKey: process.env.WORKOS_API_KEY,
-            clientId: process.env.WORKOS_CLIENT_ID,
+// ─── Request IDs, logging & metrics ────────────────────────────────────────────
+// Every response carries X-Request-Id (a proxy's own ID is kept when it sends
+// one) and every log line written while handling it includes the same ID.
+// Probes and scrapes are counted but not logged.
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        // Route patterns, not paths, so /r/:id doesn't become a label per share
+        const route = req.route && !res.locals.unmatched ? req.route.path : 'unmatched';
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, seconds);
+        if (QUIET_PATHS.includes(req.path)) return;
+        logger.info('request', {
+            requestId: req.id,
+            method: req.method,
+            url: logger.redactUrl(req.originalUrl),
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
         });
-    }
-    return workos;
-}
+    });
+    logger.withContext({ requestId: req.id }, next);
+});
 
 // ─── Security middleware ───────────────────────────────────────────────────────
+// Every page's inline <script>/<style> carries res.locals.cspNonce. Style
+// *attributes* can't take a nonce, so only those stay inline-allowed.
+app.use(csp.nonceMiddleware);
+// Images are all ours; the one exception is the profile picture from the
+// identity provider on /account.
+const imgSources = (req) => (req.path === '/account' ? "'self' data: https:" : "'self' data:");
 app.use(helmet({
     contentSecurityPolicy: {
+        reportOnly: cspReportOnly,
         directives: {
             defaultSrc: ["'self'"],
-            scriptSrc: ["'self'", "'unsafe-inline'"],
-            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+            scriptSrc: ["'self'", csp.nonceSource],
+            scriptSrcAttr: ["'none'"],
+            styleSrc: ["'self'", csp.nonceSource, "https://fonts.googleapis.com"],
+            styleSrcAttr: ["'unsafe-inline'"],
             fontSrc: ["'self'", "https://fonts.gstatic.com"],
-            imgSrc: ["'self'", "https://cdn.simpleicons.org", "data:", "https:"],
+            imgSrc: [imgSources],
             connectSrc: ["'self'"],
+            reportUri: ['/csp-report'],
+            reportTo: ['csp-endpoint'],
         },
     },
 }));
+app.use((req, res, next) => {
+    res.set('Reporting-Endpoints', `csp-endpoint="${baseUrl}/csp-report"`);
+    next();
+});
+
+// ─── Rate limiting & lockout ───────────────────────────────────────────────────
+// Counters live in a shared store (lib/limits) so every serverless instance
+// sees the same numbers.
+
+/** 429 as JSON for API clients, plain text for browsers */
+function tooManyRequests(req, res, message, retryAfter) {
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    const wantsJson = req.path.startsWith('/api/') || Boolean(req.headers.authorization)
+        || req.accepts(['html', 'json']) === 'json';
+    if (wantsJson) {
+        return res.status(429).json({ error: message, retry_after: Number(res.get('Retry-After')) || null });
+    }
+    res.status(429).type('text/plain').send(message);
+}
+
+function limiter(name, { message = 'Too many requests. Please try again later.', ...options }) {
+    return rateLimit({
+        standardHeaders: true,
+        legacyHeaders: false,
+        store: new limits.SharedStore(name),
+        passOnStoreError: true, // an unreachable store shouldn't take the site down
+        handler: (req, res) => {
+            metrics.rateLimitHits.inc({ limiter: name });
+            tooManyRequests(req, res, message);
+        },
+        ...options,
+    });
+}
 
 // Rate limiting on auth routes
-const authLimiter = rateLimit({
+const authLimiter = limiter('auth', {
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 20,                   // 20 requests per window
-    standardHeaders: true,
-    legacyHeaders: false,
     message: 'Too many auth requests. Please try again later.',
 });
 
-const apiLimiter = rateLimit({
+// Desktop sign-ins per device_id, however many IPs they come from
+const deviceAuthLimiter = limiter('device-auth', {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,                   // 10 sign-ins per window
+    skip: (req) => !req.query.device_id,
+    keyGenerator: (req) => limits.deviceKey(String(req.query.device_id)),
+    message: 'Too many sign-in attempts from this device. Please try again later.',
+});
+
+const apiLimiter = limiter('api', {
+    windowMs: 1 * 60 * 1000,  // 1 minute
+    max: 60,                   // 60 requests per window
+});
+
+// Signed-in API calls are also counted per account (all its devices) and per
+// device sign-in (token family), so rotating IPs doesn't reset the budget
+const accountLimiter = limiter('account', {
+    windowMs: 1 * 60 * 1000,  // 1 minute
+    max: 120,                  // 120 requests per window
+    keyGenerator: (req) => limits.accountKey(req.user.sub),
+});
+
+const deviceLimiter = limiter('device', {
     windowMs: 1 * 60 * 1000,  // 1 minute
     max: 60,                   // 60 requests per window
-    standardHeaders: true,
-    legacyHeaders: false,
+    keyGenerator: (req) => limits.deviceKey(req.user.sid),
+});
+
+// Each join can send an email — keep that well below anything abusable
+const waitlistLimiter = limiter('waitlist', {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,                    // 5 sign-ups per window
+    message: 'Too many waitlist sign-ups. Please try again later.',
+});
+
+// Reports are stored with their attachments — a handful per hour is plenty
+const feedbackLimiter = limiter('feedback', {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,                    // 5 reports per window
+    message: 'Too many reports. Please try again later.',
+});
+
+// A crash loop on one machine shouldn't be able to fill the disk
+const crashLimiter = limiter('crash', {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20,                   // 20 uploads per window
+    message: 'Too many crash reports. Please try again later.',
+});
+
+// Browsers can fire a report per blocked resource — cap what one client can send
+const cspReportLimiter = limiter('csp', {
+    windowMs: 1 * 60 * 1000,  // 1 minute
+    max: 30,                   // 30 reports per window
+});
+
+// WorkOS delivers in bursts (e.g. a bulk user import); only forged ones are a concern
+const webhookLimiter = limiter('webhooks', {
+    windowMs: 1 * 60 * 1000,  // 1 minute
+    max: 600,                  // 600 deliveries per window
 });
 
+const subjectKeys = ({ sub, device } = {}) => [sub && limits.accountKey(sub), device && limits.deviceKey(device)].filter(Boolean);
+
+/**
+ * Lockout keys for a request: its IP, plus the account and device behind an
+ * authorization code or refresh token we issued. Never a client-supplied ID
+ * such as ?device_id=, or anyone could lock a victim's device out.
+ */
+function authKeys(req) {
+    if (!req.authKeys) {
+        const owner = tokens.authCodeOwner(req.body?.code)
+            || tokens.refreshTokenOwner(req.body?.refresh_token || req.cookies?.deskly_refresh);
+        req.authKeys = [limits.ipKey(req), ...subjectKeys(owner || {})];
+    }
+    return req.authKeys;
+}
+
+// Admin actions, per admin — triaging a queue shouldn't eat into sign-in budgets
+const adminLimiter = limiter('admin', {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300,                  // 300 actions per window
+    keyGenerator: (req) => limits.accountKey(req.user.sub),
+    message: 'Too many admin actions. Please try again later.',
+});
+
+/** Refuse clients, accounts and devices locked out after repeated auth failures */
+async function lockoutGuard(req, res, next) {
+    try {
+        const retryAfter = await limits.lockedFor(authKeys(req));
+        if (retryAfter) {
+            metrics.rateLimitHits.inc({ limiter: 'lockout' });
+            return tooManyRequests(req, res, 'Too many failed attempts. Please try again later.', retryAfter);
+        }
+    } catch (err) {
+        logger.error('Lockout check failed', { err });
+    }
+    next();
+}
+
+/**
+ * Count a successful sign-in, code redemption or refresh for /metrics, and
+ * forget the failures of the account and device it proved (`subject`, else
+ * the ones the request named). The IP's failures stand: one good sign-in
+ * from an address shouldn't wipe out the guesses made from it.
+ */
+function recordAuthSuccess(req, flow, subject) {
+    metrics.authEvents.inc({ flow, outcome: 'success' });
+    limits.clearFailures(subject ? subjectKeys(subject) : authKeys(req).slice(1))
+        .catch((err) => logger.error('Could not clear auth failures', { err }));
+}
+
+/** Count a failed auth attempt (state mismatch, forged token, bad verifier, …) */
+function recordAuthFailure(req, flow) {
+    metrics.authEvents.inc({ flow, outcome: 'failure' });
+    logger.warn('Auth failure', { flow, method: req.method, url: logger.redactUrl(req.originalUrl) });
+    limits.recordFailure(authKeys(req))
+        .catch((err) => logger.error('Could not record auth failure', { err }));
+}
+
 app.use(cookieParser());
+const jsonBody = express.json({ limit: '16kb' });
+const formBody = express.urlencoded({ extended: false, limit: '16kb' });
+
+// Locale for this request: ?lang= > /hi/-style prefix > cookie > Accept-Language
+app.use((req, res, next) => {
+    const prefix = req.path.split('/')[1];
+    if (i18n.isLocale(req.query.lang)) res.locals.locale = req.query.lang;
+    else if (i18n.isLocale(prefix)) res.locals.locale = prefix;
+    else res.locals.locale = i18n.negotiate(req);
+    next();
+});
 app.use(express.static(path.join(__dirname, 'public')));
+app.get('/assets/:file', assets.serve);
 
 // ─── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -100,202 +311,1269 @@ function esc(str) {
         .replace(/'/g, '&#39;');
 }
 
-function signToken(user) {
-    return jwt.sign(
-        {
-            sub: user.id,
-            email: user.email,
-            name: user.firstName
-                ? `${user.firstName}${user.lastName ? ' ' + user.lastName : ''}`
-                : user.email.split('@')[0],
-            picture: user.profilePictureUrl || null,
-        },
-        JWT_KEY,
-        { expiresIn: '30d' }
-    );
+const verifyToken = tokens.verifyToken;
+
+/** Whether the website session (cookie) belongs to an admin */
+const viewerIsAdmin = (req) => admin.isAdmin(verifyToken(req.cookies?.deskly_token || ''));
+
+/** Pull the access token from `Authorization: Bearer` (desktop app) or the cookie (website) */
+function tokenFromRequest(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader?.startsWith('Bearer ')) return authHeader.slice(7);
+    return req.cookies?.deskly_token || null;
 }
 
-function verifyToken(token) {
-    try {
-        return jwt.verify(token, JWT_KEY);
-    } catch {
-        return null;
+/** Set the website's auth cookies; the refresh cookie is only ever sent to /auth */
+function setAuthCookies(res, { accessToken, refreshToken }) {
+    res.cookie('deskly_token', accessToken, {
+        httpOnly: true,
+        secure: isProduction,
+        sameSite: 'lax',
+        maxAge: tokens.ACCESS_TOKEN_TTL * 1000,
+    });
+    res.cookie('deskly_refresh', refreshToken, {
+        httpOnly: true,
+        secure: isProduction,
+        sameSite: 'lax',
+        maxAge: tokens.REFRESH_TOKEN_TTL * 1000,
+        path: '/auth',
+    });
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie('deskly_token');
+    res.clearCookie('deskly_refresh', { path: '/auth' });
+}
+
+function authenticateApiUser(req, res, next) {
+    const token = tokenFromRequest(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Missing token' });
     }
+    const { payload, reason } = tokens.checkToken(token);
+    if (!payload) {
+        // Expired and revoked tokens are normal client life; forged ones aren't
+        if (reason === 'invalid') recordAuthFailure(req, 'api');
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = payload;
+    next();
 }
 
+/** API guard: 401 JSON unless the request carries a valid access token; sets req.user */
+const requireApiUser = [lockoutGuard, authenticateApiUser, accountLimiter, deviceLimiter];
+
+// ─── Per-user data (export & deletion) ─────────────────────────────────────────
+// Revoked sessions are kept (they only hold the user ID) so that any token
+// still in circulation keeps failing until it would have expired anyway.
+
+userData.register('sessions', {
+    exportFor: tokens.sessionsForUser,
+    deleteFor: (userId) => tokens.revokeAllForUser(userId, 'account_deleted'),
+});
+userData.register('devices', {
+    exportFor: devices.exportForUser,
+    deleteFor: devices.deleteForUser,
+});
+userData.register('vaultSnapshots', {
+    exportFor: vault.exportForUser,
+    deleteFor: vault.deleteForUser,
+});
+userData.register('shares', {
+    exportFor: shares.exportForUser,
+    deleteFor: shares.deleteForUser,
+});
+userData.register('settings', {
+    exportFor: settings.exportForUser,
+    deleteFor: settings.deleteForUser,
+});
+userData.register('feedback', {
+    exportFor: feedback.exportForUser,
+    deleteFor: feedback.deleteForUser,
+});
+
+/**
+ * Fill placeholders in a view: `{{a.b}}` is HTML-escaped, `{{{a.b}}}` is
+ * inserted as-is and must only ever be used for trusted markup (catalogs).
+ */
+function renderTemplate(template, vars) {
+    const lookup = (key) => key.split('.').reduce((node, part) => node?.[part], vars) ?? '';
+    return template.replace(/\{\{\{([\w.]+)\}\}\}|\{\{([\w.]+)\}\}/g,
+        (match, raw, escaped) => (raw ? lookup(raw) : esc(lookup(escaped))));
+}
+
+/** Per-response values every server-built page needs */
+function pageContext(res) {
+    const locale = res.locals.locale || i18n.DEFAULT_LOCALE;
+    return { nonce: res.locals.cspNonce, locale, t: i18n.translator(locale) };
+}
+
+/** Turn a registry URL (often site-relative) into an absolute one */
+function absoluteUrl(url) {
+    return new URL(url, baseUrl).toString();
+}
+
+// ─── Health & metrics ──────────────────────────────────────────────────────────
+// /healthz answers as long as the process does (configuration problems are
+// listed, not fatal); /readyz also checks DATA_DIR and the rate-limit store
+// and turns 503 when a request would fail. Anyone gets the status; the
+// per-check detail, like /metrics (for Prometheus), is open in development
+// and needs `Authorization: Bearer $METRICS_TOKEN` or an admin session
+// otherwise — it names what's misconfigured and where backends live.
+
+/** A valid `Authorization: Bearer $METRICS_TOKEN`, or true in development when none is set */
+function hasMetricsToken(req) {
+    const token = process.env.METRICS_TOKEN;
+    if (!token) return !isProduction;
+    const given = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const digest = (v) => crypto.createHash('sha256').update(v).digest();
+    return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+const showsProbeDetail = (req) => hasMetricsToken(req) || viewerIsAdmin(req);
+
+app.get('/healthz', (req, res) => {
+    const result = health.liveness();
+    res.set('Cache-Control', 'no-store');
+    res.json(showsProbeDetail(req) ? result : { status: result.status });
+});
+
+app.get('/readyz', async (req, res, next) => {
+    try {
+        const result = await health.readiness();
+        res.set('Cache-Control', 'no-store');
+        res.status(result.ready ? 200 : 503).json(showsProbeDetail(req) ? result : { ready: result.ready, status: result.status });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.get('/metrics', (req, res, next) => {
+    if (!process.env.METRICS_TOKEN && isProduction) return next();
+    if (!hasMetricsToken(req)) {
+        return res.status(401).type('text/plain').send('Invalid metrics token');
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // ─── Landing Page ──────────────────────────────────────────────────────────────
 
+const landingTemplate = fs.readFileSync(path.join(__dirname, 'views', 'landing.html'), 'utf8');
+const OG_LOCALES = { en: 'en_US', hi: 'hi_IN', es: 'es_ES' };
+
+/** One browser in the landing ticker, drawn from its catalog icon */
+function tickerItem({ name, icon }) {
+    let image;
+    if (icon.type === 'simpleicons' && assets.hasIcon(icon.slug)) {
+        image = `<svg class="ti-icon" width="20" height="20" fill="#${esc(icon.color)}" aria-hidden="true">`
+            + `<use href="${assets.url('icons.svg')}#${esc(icon.slug)}" /></svg>`;
+    } else if (icon.type === 'simpleicons') {
+        // Not vendored (see scripts/vendor-icons.js)
+        image = `<span class="ti-letter" style="background:#${esc(icon.color)}">${esc(name[0])}</span>`;
+    } else if (icon.type === 'svg') {
+        image = `<svg class="ti-svg" viewBox="0 0 24 24" width="20" height="20">${icon.svg}</svg>`;
+    } else {
+        image = `<span class="ti-letter" style="background:${esc(icon.color)}">${esc(icon.letter)}</span>`;
+    }
+    return `            <span class="ticker-item">${image}${esc(name)}</span>`;
+}
+
+const tickerItems = catalog.tickerBrowsers().map(tickerItem).join('\n');
+
+function sendLanding(req, res, locale) {
+    const found = releases.latest();
+    analytics.recordPageView(req, i18n.localePath(locale), new URL(baseUrl).hostname);
+    const hreflangLinks = i18n.LOCALES
+        .map((l) => `    <link rel="alternate" hreflang="${l}" href="${esc(absoluteUrl(i18n.localePath(l)))}" />`)
+        .concat(`    <link rel="alternate" hreflang="x-default" href="${esc(absoluteUrl('/'))}" />`)
+        .join('\n');
+    const languageLinks = i18n.LOCALES
+        .map((l) => `                    <a href="${i18n.localePath(l)}?lang=${l}" lang="${l}" hreflang="${l}"`
+            + `${l === locale ? ' aria-current="true"' : ''}>${esc(i18n.catalog(l).language)}</a>`)
+        .join('\n');
+
+    res.set('Content-Language', locale);
+    res.send(renderTemplate(landingTemplate, {
+        cspNonce: res.locals.cspNonce,
+        year: new Date().getFullYear(),
+        // Through the redirect so download clicks are counted per version
+        downloadUrl: '/download/latest',
+        versionShort: found ? found.release.version.split('.').slice(0, 2).join('.') : '1.0',
+        locale,
+        ogLocale: OG_LOCALES[locale],
+        homePath: i18n.localePath(locale),
+        canonicalUrl: absoluteUrl(i18n.localePath(locale)),
+        hreflangLinks,
+        languageLinks,
+        tickerItems,
+        assets: { css: assets.url('landing.css'), js: assets.url('landing.js'), icons: assets.url('icons.svg') },
+        counts: catalog.counts(),
+        t: i18n.catalog(locale, catalog.counts()),
+    }));
+}
+
+/** ?lang= is an explicit choice from the language switcher — remember it */
+function rememberLocale(req, res) {
+    const chosen = req.query.lang;
+    if (!i18n.isLocale(chosen)) return false;
+    res.cookie(i18n.COOKIE, chosen, { sameSite: 'lax', secure: isProduction, maxAge: 365 * 24 * 60 * 60 * 1000 });
+    res.redirect(i18n.localePath(chosen));
+    return true;
+}
+
 app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'landing.html'));
+    if (rememberLocale(req, res)) return;
+    // English lives at the root; other negotiated languages get their prefix
+    const locale = i18n.negotiate(req);
+    res.set('Vary', 'Accept-Language, Cookie');
+    if (locale !== i18n.DEFAULT_LOCALE) return res.redirect(i18n.localePath(locale));
+    sendLanding(req, res, i18n.DEFAULT_LOCALE);
+});
+
+app.get('/:locale/', (req, res, next) => {
+    const { locale } = req.params;
+    if (!i18n.isLocale(locale)) return next();
+    if (rememberLocale(req, res)) return;
+    if (locale === i18n.DEFAULT_LOCALE) return res.redirect(301, '/');
+    sendLanding(req, res, locale);
+});
+
+// ─── CSP violation reports ─────────────────────────────────────────────────────
+
+app.post('/csp-report',
+    cspReportLimiter,
+    express.json({ type: ['application/csp-report', 'application/reports+json', 'application/json'], limit: '64kb' }),
+    (req, res) => {
+        csp.recordReports(req.body);
+        res.status(204).end();
+    }
+);
+
+// ─── Downloads & Releases ──────────────────────────────────────────────────────
+
+app.get('/download/latest', (req, res) => {
+    const { channel = 'stable', platform = 'win32', arch = 'x64' } = req.query;
+    const found = releases.latest({ channel: String(channel), platform: String(platform), arch: String(arch) });
+    if (!found) {
+        return res.status(404).send(`No ${esc(channel)} release for ${esc(platform)}/${esc(arch)} yet.`);
+    }
+    analytics.recordDownload(req, { version: found.release.version, platform: found.file.platform, arch: found.file.arch });
+    res.set('Cache-Control', 'no-cache');
+    res.redirect(302, found.file.url);
+});
+
+// A specific version's build, e.g. the one a waitlist announcement is about
+app.get('/download/:version', (req, res) => {
+    const { platform = 'win32', arch = 'x64' } = req.query;
+    const found = releases.find({ version: req.params.version, platform: String(platform), arch: String(arch) });
+    if (!found) {
+        return res.status(404).send(`No ${esc(req.params.version)} release for ${esc(platform)}/${esc(arch)}.`);
+    }
+    analytics.recordDownload(req, { version: found.release.version, platform: found.file.platform, arch: found.file.arch });
+    res.set('Cache-Control', 'no-cache');
+    res.redirect(302, found.file.url);
+});
+
+app.get('/api/releases', apiLimiter, (req, res) => {
+    const { channel, platform } = req.query;
+    if (channel && !releases.CHANNELS.includes(channel)) {
+        return res.status(400).json({ error: `Unknown channel — expected one of ${releases.CHANNELS.join(', ')}` });
+    }
+    if (platform && !releases.PLATFORMS.includes(platform)) {
+        return res.status(400).json({ error: `Unknown platform — expected one of ${releases.PLATFORMS.join(', ')}` });
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+        releases: releases.listReleases({ channel, platform }).map((r) => ({
+            ...r,
+            files: r.files.map((f) => ({ ...f, url: absoluteUrl(f.url) })),
+        })),
+    });
+});
+
+// electron-updater "generic" provider feeds: latest.yml, beta.yml, latest-mac.yml,
+// latest-linux.yml, latest-linux-arm64.yml, … Point the app at ${baseUrl}/updates
+app.get('/updates/:feed', (req, res) => {
+    const match = /^(latest|beta)(?:-(mac|linux))?(?:-(arm64))?\.yml$/.exec(req.params.feed);
+    if (!match) {
+        return res.status(404).type('text/plain').send('Unknown update feed');
+    }
+    const [, name, os, arm] = match;
+    const platform = os === 'mac' ? 'darwin' : os === 'linux' ? 'linux' : 'win32';
+    const feed = releases.updaterFeed({
+        channel: name === 'latest' ? 'stable' : 'beta',
+        platform,
+        arch: arm ? 'arm64' : 'x64',
+    }, absoluteUrl);
+
+    if (!feed) {
+        return res.status(404).type('text/plain').send('No release published for this platform yet');
+    }
+    res.set('Cache-Control', 'no-cache');
+    res.type('text/yaml').send(feed);
+});
+
+// ─── macOS / Linux waitlist ────────────────────────────────────────────────────
+// Double opt-in: nothing but the confirmation mail is sent until the address
+// is confirmed. `npm run waitlist:broadcast` announces a platform's release.
+
+app.post('/api/waitlist', waitlistLimiter, jsonBody, async (req, res, next) => {
+    if (!mailer.configured()) {
+        return res.status(503).json({ error: 'The waitlist is not available right now' });
+    }
+    const { entry, confirmToken, error, status } = waitlist.join(req.body || {});
+    if (error) return res.status(status).json({ error });
+    try {
+        if (confirmToken) await mailer.sendMail(waitlist.confirmationEmail(entry, confirmToken, baseUrl));
+    } catch (err) {
+        waitlist.confirmationFailed(entry.id, confirmToken);
+        return next(err);
+    }
+    // The same answer whether or not the address was already on the list
+    res.status(202).json({ status: 'pending', message: 'Check your inbox to confirm your email address' });
+});
+
+// The emailed link only asks; mail scanners and link previews follow links,
+// so the address is confirmed by the POST a person makes
+app.get('/waitlist/confirm', (req, res) => {
+    const page = pageContext(res);
+    const entry = waitlist.fromConfirmLink(req.query.token);
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    if (!entry) return res.status(404).send(waitlistConfirmedPage(null, page));
+    res.send(waitlistConfirmPage(entry, req.originalUrl, page));
+});
+
+app.post('/waitlist/confirm', formBody, (req, res) => {
+    const page = pageContext(res);
+    const entry = waitlist.confirm(req.query.token);
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.status(entry ? 200 : 404).send(waitlistConfirmedPage(entry, page));
+});
+
+// Unsubscribe links confirm first; mail clients' one-click POST (RFC 8058)
+// goes straight to the POST handler
+app.get('/waitlist/unsubscribe', (req, res) => {
+    const page = pageContext(res);
+    const entry = waitlist.fromUnsubscribeLink(String(req.query.id || ''), req.query.sig);
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.status(entry ? 200 : 404).send(waitlistUnsubscribePage(entry, req.originalUrl, page));
+});
+
+app.post('/waitlist/unsubscribe', formBody, (req, res) => {
+    const page = pageContext(res);
+    const done = waitlist.unsubscribe(String(req.query.id || ''), req.query.sig);
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.status(done ? 200 : 404).send(waitlistUnsubscribedPage(done, page));
+});
+
+// ─── Feedback & bug reports ────────────────────────────────────────────────────
+// From the /feedback page and the desktop app alike: a multipart form with an
+// optional diagnostics bundle. No captcha — a honeypot field catches naive
+// bots and a proof-of-work challenge makes bulk posting expensive.
+
+app.get('/api/feedback/challenge', apiLimiter, (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(pow.issue('feedback'));
+});
+
+app.post('/api/feedback', feedbackLimiter, async (req, res, next) => {
+    try {
+        const { fields, files, error, status } = await multipart.parse(req, {
+            fileFields: ['attachment'],
+            maxFileSize: feedback.MAX_ATTACHMENT,
+        });
+        if (error) return res.status(status).json({ error });
+
+        // Only bots fill in a field people can't see; tell them it worked
+        if (fields.website) return res.status(201).json({ id: crypto.randomUUID(), status: 'open' });
+
+        const powError = await pow.redeem('feedback', fields.challenge, fields.nonce);
+        if (powError) return res.status(403).json({ error: `Proof of work rejected: ${powError}` });
+
+        // Signed-in senders are linked to their account, so export and deletion cover their reports
+        const token = tokenFromRequest(req);
+        const user = token ? tokens.checkToken(token).payload : null;
+        const result = feedback.create(fields, files[0], { userId: user?.sub || null, locale: res.locals.locale });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.status(201).json({ id: result.report.id, status: result.report.status });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.get('/feedback', (req, res) => {
+    res.send(feedbackPage(pageContext(res)));
+});
+
+// ─── Desktop crash reports ─────────────────────────────────────────────────────
+// Electron's crashReporter posts here (submitURL) — a multipart form with the
+// minidump as `upload_file_minidump`, gzipped unless `compress: false`.
+// Crashpad keeps the response body as the report's ID.
+
+app.post('/api/crash', crashLimiter, async (req, res, next) => {
+    try {
+        const { fields, files, error, status } = await multipart.parse(req, {
+            fileFields: ['upload_file_minidump'],
+            maxFileSize: crashes.MAX_DUMP_SIZE,
+            maxFields: 100, // every crashReporter annotation is its own field
+        });
+        if (error) return res.status(status).json({ error });
+
+        const result = crashes.ingest(fields, files[0]);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.type('text/plain').send(result.report.id);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ─── Recognition catalog ───────────────────────────────────────────────────────
+// Browser process names and site title rules for the desktop app. Clients
+// revalidate with If-None-Match and get a 304 until the catalog changes.
+
+app.get('/api/catalog', apiLimiter, (req, res) => {
+    const { body, etag } = catalog.current();
+    res.set({
+        'Cache-Control': 'public, max-age=3600, must-revalidate',
+        ETag: etag,
+    });
+    // Compared directly rather than via req.fresh, which ignores If-None-Match
+    // whenever the client also sends Cache-Control: no-cache
+    const match = (req.get('If-None-Match') || '').split(',').map((t) => t.trim().replace(/^W\//, ''));
+    if (match.includes(etag) || match.includes('*')) return res.status(304).end();
+    res.type('application/json').send(body);
+});
+
+// ─── Changelog & Blog ──────────────────────────────────────────────────────────
+// Markdown in content/changelog and content/blog. Admins also see drafts.
+
+const FEEDS = {
+    changelog: { title: 'Deskly changelog', description: "What's new in each Deskly release." },
+    blog: { title: 'Deskly blog', description: 'News and notes from the Deskly team.' },
+};
+
+const entryUrl = (e) => absoluteUrl(e.collection === 'changelog' ? `/changelog#v${e.version}` : `/blog/${e.slug}`);
+
+/** Drafts are never cached; published pages may be, briefly */
+function contentCacheHeaders(res, drafts) {
+    res.set('Cache-Control', drafts ? 'private, no-store' : 'public, max-age=300');
+}
+
+for (const collection of content.COLLECTIONS) {
+    const meta = {
+        ...FEEDS[collection],
+        siteUrl: absoluteUrl(`/${collection}`),
+    };
+    app.get(`/${collection}/rss.xml`, (req, res) => {
+        res.set('Cache-Control', 'public, max-age=900');
+        res.type('application/rss+xml').send(content.rss(
+            { ...meta, feedUrl: absoluteUrl(`/${collection}/rss.xml`) }, content.list(collection), entryUrl));
+    });
+    app.get(`/${collection}/atom.xml`, (req, res) => {
+        res.set('Cache-Control', 'public, max-age=900');
+        res.type('application/atom+xml').send(content.atom(
+            { ...meta, feedUrl: absoluteUrl(`/${collection}/atom.xml`) }, content.list(collection), entryUrl));
+    });
+}
+
+app.get('/changelog', (req, res) => {
+    const drafts = viewerIsAdmin(req);
+    contentCacheHeaders(res, drafts);
+    res.send(changelogPage(content.list('changelog', { drafts }), pageContext(res)));
+});
+
+app.get('/blog', (req, res) => {
+    const drafts = viewerIsAdmin(req);
+    const tag = typeof req.query.tag === 'string' ? req.query.tag : undefined;
+    contentCacheHeaders(res, drafts);
+    res.send(blogIndexPage(content.list('blog', { drafts, tag }), tag, pageContext(res)));
+});
+
+app.get('/blog/:slug', (req, res, next) => {
+    const drafts = viewerIsAdmin(req);
+    const post = content.get('blog', req.params.slug, { drafts });
+    if (!post) return next();
+    contentCacheHeaders(res, drafts);
+    res.send(blogPostPage(post, pageContext(res)));
+});
+
+// "What's new" for the desktop app: everything newer than the installed version
+app.get('/api/changelog', apiLimiter, (req, res) => {
+    const { since } = req.query;
+    if (since !== undefined && !/^v?\d+\.\d+\.\d+(-[0-9A-Za-z.]+)?$/.test(since)) {
+        return res.status(400).json({ error: 'since must be a version like 1.0.0' });
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+        entries: content.changesSince(since).map(({ version, title, date, tags, summary, markdown, html }) => ({
+            version, title, date, tags, summary, markdown, html, url: absoluteUrl(`/changelog#v${version}`),
+        })),
+    });
 });
 
 // ─── Account Page (browser-based, for web visitors) ────────────────────────────
 
 app.get('/account', (req, res) => {
-    // If WorkOS is not configured, show a friendly page instead of crashing
-    if (!process.env.WORKOS_API_KEY || !process.env.WORKOS_CLIENT_ID) {
-        return res.send(`<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Deskly — Account</title><style>*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Inter',-apple-system,system-ui,sans-serif;background:#09090b;color:#ededef;min-height:100vh;display:flex;align-items:center;justify-content:center;text-align:center;padding:24px}a{color:#818cf8;text-decoration:none}.wrap{max-width:380px}.wrap h1{font-size:1.5rem;font-weight:700;letter-spacing:-0.03em;margin-bottom:8px}.wrap p{font-size:0.88rem;color:#8b8b92;line-height:1.6;margin-bottom:24px}.btn{display:inline-flex;align-items:center;gap:8px;font-size:0.84rem;font-weight:500;padding:10px 20px;border-radius:9px;background:#fff;color:#09090b;transition:opacity 0.2s}.btn:hover{opacity:0.85}</style></head><body><div class="wrap"><h1>Account</h1><p>Sign in is available when the server is connected to WorkOS. For now, Deskly works entirely without an account.</p><a href="/" class="btn">← Back to home</a></div></body></html>`);
+    // If no identity provider is configured, show a friendly page instead of crashing
+    if (!identity.configured()) {
+        const { nonce, locale, t } = pageContext(res);
+        return res.send(`<!DOCTYPE html><html lang="${locale}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Deskly — ${esc(t('pages.account.title'))}</title><style nonce="${nonce}">*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Inter',-apple-system,system-ui,sans-serif;background:#09090b;color:#ededef;min-height:100vh;display:flex;align-items:center;justify-content:center;text-align:center;padding:24px}a{color:#818cf8;text-decoration:none}.wrap{max-width:380px}.wrap h1{font-size:1.5rem;font-weight:700;letter-spacing:-0.03em;margin-bottom:8px}.wrap p{font-size:0.88rem;color:#8b8b92;line-height:1.6;margin-bottom:24px}.btn{display:inline-flex;align-items:center;gap:8px;font-size:0.84rem;font-weight:500;padding:10px 20px;border-radius:9px;background:#fff;color:#09090b;transition:opacity 0.2s}.btn:hover{opacity:0.85}</style></head><body><div class="wrap"><h1>${esc(t('pages.account.title'))}</h1><p>${esc(t('pages.account.unavailable'))}</p><a href="${i18n.localePath(locale)}" class="btn">${esc(t('pages.account.backHome'))}</a></div></body></html>`);
     }
 
     const token = req.cookies?.deskly_token;
     const user = token ? verifyToken(token) : null;
 
     if (!user) {
-        // Not signed in — redirect to login (web mode, not desktop)
-        return res.redirect('/auth/login?source=web');
+        // Not signed in — redirect to login (web mode, not desktop). The browser
+        // only sends the refresh cookie to /auth, so /auth/login tries it first.
+        return res.redirect(`/auth/login?source=web&lang=${res.locals.locale}`);
+    }
+
+    res.send(accountPage(user, devices.listForUser(user.sub), settings.get(user.sub), pageContext(res)));
+});
+
+// ─── Account: Devices ──────────────────────────────────────────────────────────
+// Forms on /account post here; the SameSite=Lax session cookie keeps these
+// from being triggered cross-site.
+
+app.post('/account/devices/:id/revoke', authLimiter, (req, res) => {
+    const user = verifyToken(req.cookies?.deskly_token || '');
+    if (!user) return res.redirect('/account');
+
+    const device = devices.revoke(user.sub, req.params.id);
+    if (device) tokens.revokeFamily(device.family, 'device_revoked');
+    res.redirect('/account');
+});
+
+app.post('/account/settings/reset', authLimiter, (req, res) => {
+    const user = verifyToken(req.cookies?.deskly_token || '');
+    if (user) settings.reset(user.sub);
+    res.redirect('/account#settings');
+});
+
+app.post('/account/sign-out-everywhere', authLimiter, (req, res) => {
+    const user = verifyToken(req.cookies?.deskly_token || '');
+    if (user) {
+        tokens.revokeAllForUser(user.sub);
+        devices.revokeAll(user.sub);
+    }
+    clearAuthCookies(res);
+    res.redirect(i18n.localePath(res.locals.locale));
+});
+
+// ─── Account: Deletion ─────────────────────────────────────────────────────────
+
+app.get('/account/delete', (req, res) => {
+    const user = verifyToken(req.cookies?.deskly_token || '');
+    if (!user) return res.redirect('/account');
+    res.send(deleteAccountPage(user, null, pageContext(res)));
+});
+
+app.post('/account/delete', authLimiter, formBody, async (req, res, next) => {
+    try {
+        const user = verifyToken(req.cookies?.deskly_token || '');
+        if (!user) return res.redirect('/account');
+
+        const page = pageContext(res);
+        const confirmation = String(req.body?.confirm_email || '').trim().toLowerCase();
+        if (!user.email || confirmation !== user.email.toLowerCase()) {
+            return res.status(400).send(deleteAccountPage(user, page.t('pages.deleteAccount.mismatch'), page));
+        }
+
+        // Identity provider first — if that fails, nothing local has been lost yet
+        if (identity.deleteUser) await identity.deleteUser(user.sub);
+        await userData.deleteAll(user.sub);
+
+        clearAuthCookies(res);
+        res.send(accountDeletedPage(page));
+    } catch (err) {
+        logger.error('Error deleting account', { err });
+        next(err);
+    }
+});
+
+// ─── Admin console ─────────────────────────────────────────────────────────────
+// Allow-listed operators only (ADMIN_EMAILS / ADMIN_USER_IDS). Every POST
+// carries a CSRF token bound to the admin's session and is audit-logged.
+
+function requireAdmin(req, res, next) {
+    const user = verifyToken(req.cookies?.deskly_token || '');
+    if (!user) return res.redirect('/auth/login?source=web&return_to=/admin');
+    if (!admin.isAdmin(user)) {
+        return res.status(403).send(simplePage(pageContext(res), 'Not authorized', `
+        <h1>Not authorized</h1>
+        <p>${esc(user.email || user.sub)} is not on the admin allow-list.</p>
+        <a href="/account">Back to your account</a>`));
+    }
+    req.user = user;
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    next();
+}
+
+function requireAdminCsrf(req, res, next) {
+    if (!admin.verifyCsrf(req.user, req.body?._csrf)) {
+        return res.status(403).send(simplePage(pageContext(res), 'Request expired', `
+        <h1>Request expired</h1>
+        <p>The form was stale or didn't come from the admin console. Nothing was changed.</p>
+        <a href="/admin">Back to admin</a>`));
+    }
+    next();
+}
+
+/** Most recent sign-ups from the identity provider — { users } or { error } so the page still renders */
+async function recentSignUps() {
+    if (!identity.configured()) return { error: `${identity.label} is not configured` };
+    if (!identity.listUsers) return { error: `${identity.label} doesn't support listing users` };
+    try {
+        return { users: await identity.listUsers({ limit: 25 }) };
+    } catch (err) {
+        logger.error(`Error listing ${identity.label} users`, { err });
+        return { error: `Could not load users from ${identity.label}` };
+    }
+}
+
+/** Reports for the admin console, narrowed by ?feedback=open|closed|all and ?tag= */
+function feedbackTriage(query) {
+    const status = query.feedback === 'all' ? null : feedback.STATUSES.find((s) => s === query.feedback) || 'open';
+    const tag = typeof query.tag === 'string' && query.tag ? query.tag : null;
+    return { status, tag, counts: feedback.counts(), reports: feedback.list({ status, tag }).slice(0, 50) };
+}
+
+/**
+ * Crash counts per release, with crashes per 1,000 downloads so releases of
+ * different reach compare; a release whose rate is well above the one
+ * before it is flagged as a regression.
+ */
+function crashReleaseStats(downloads) {
+    const summary = crashes.summary();
+    const rated = summary.releases.map((r) => {
+        const total = Object.values(downloads[r.version] || {}).reduce((a, b) => a + b, 0);
+        return { ...r, downloads: total, rate: total ? (r.crashes / total) * 1000 : null };
+    });
+    for (const [i, release] of rated.entries()) {
+        const previous = rated[i + 1];
+        release.regressed = release.rate !== null && previous?.rate != null
+            && release.crashes >= 5 && release.rate > previous.rate * 1.5;
+    }
+    return { ...summary, releases: rated };
+}
+
+app.get('/admin', requireAdmin, async (req, res, next) => {
+    try {
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const downloads = analytics.query().totals.downloadsByVersion;
+        const releaseStats = releases.listReleases().map((r) => ({
+            version: r.version,
+            channel: r.channel,
+            date: r.date,
+            files: r.files.length,
+            downloads: Object.values(downloads[r.version] || {}).reduce((a, b) => a + b, 0),
+        }));
+
+        res.send(adminPage({
+            user: req.user,
+            csrf: admin.csrfToken(req.user),
+            signUps: await recentSignUps(),
+            devices: devices.listActive(50),
+            releases: releaseStats,
+            traffic: analytics.query({ from: since }).totals,
+            waitlist: waitlist.counts(),
+            feedback: feedbackTriage(req.query),
+            crashes: crashReleaseStats(downloads),
+            csp: csp.listReports().slice(0, 50),
+            audit: admin.auditLog(50),
+        }, pageContext(res)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/admin/users/revoke', requireAdmin, adminLimiter, formBody, requireAdminCsrf, (req, res) => {
+    const userId = String(req.body.user_id || '').trim();
+    if (userId) {
+        tokens.revokeAllForUser(userId, 'admin_revoked');
+        devices.revokeAll(userId);
+        admin.audit(req.user, 'user.revoke_tokens', userId);
+    }
+    res.redirect('/admin');
+});
+
+app.post('/admin/devices/:id/revoke', requireAdmin, adminLimiter, formBody, requireAdminCsrf, (req, res) => {
+    const device = devices.get(req.params.id);
+    if (device && devices.revoke(device.userId, device.id)) {
+        tokens.revokeFamily(device.family, 'admin_revoked');
+        admin.audit(req.user, 'device.revoke', device.userId, { device: device.id, name: device.name });
+    }
+    res.redirect('/admin');
+});
+
+app.post('/admin/feedback/:id/tags', requireAdmin, adminLimiter, formBody, requireAdminCsrf, (req, res) => {
+    const report = feedback.setTags(req.params.id, req.body.tags);
+    if (report) admin.audit(req.user, 'feedback.tag', report.id, { tags: report.tags });
+    res.redirect('/admin#feedback');
+});
+
+app.post('/admin/feedback/:id/close', requireAdmin, adminLimiter, formBody, requireAdminCsrf, (req, res) => {
+    const report = feedback.close(req.params.id, req.user.email || req.user.sub);
+    if (report) admin.audit(req.user, 'feedback.close', report.id);
+    res.redirect('/admin#feedback');
+});
+
+app.post('/admin/feedback/:id/reopen', requireAdmin, adminLimiter, formBody, requireAdminCsrf, (req, res) => {
+    const report = feedback.reopen(req.params.id);
+    if (report) admin.audit(req.user, 'feedback.reopen', report.id);
+    res.redirect('/admin#feedback');
+});
+
+app.get('/admin/crashes/:id/dump', requireAdmin, (req, res) => {
+    const report = crashes.get(req.params.id);
+    const data = report && crashes.dump(report);
+    if (!data) return res.status(404).type('text/plain').send('Dump no longer kept');
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="deskly-${report.version}-${report.platform}-${report.id}.dmp"`,
+    });
+    res.send(data);
+});
+
+// Always a download, never rendered — the bundle is whatever the sender uploaded
+app.get('/admin/feedback/:id/attachment', requireAdmin, (req, res) => {
+    const report = feedback.get(req.params.id);
+    const data = report && feedback.attachment(report);
+    if (!data) return res.status(404).type('text/plain').send('No attachment');
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${report.attachment.filename}"`,
+        'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(data);
+});
+
+// ─── Auth: Start Login ─────────────────────────────────────────────────────────
+
+// Where a web sign-in may land afterwards (?return_to=)
+const WEB_RETURN_PATHS = ['/account', '/admin'];
+
+app.get('/auth/login', authLimiter, deviceAuthLimiter, lockoutGuard, async (req, res, next) => {
+    if (!identity.configured()) {
+        return res.status(503).type('text/plain').send(`${identity.label} sign-in is not configured on this server.`);
+    }
+    try {
+        const { source, code_challenge, code_challenge_method } = req.query;
+        const returnTo = WEB_RETURN_PATHS.includes(req.query.return_to) ? req.query.return_to : '/account';
+
+        // Web visitors with a live refresh cookie just get a new access token
+        if (source === 'web' && req.cookies?.deskly_refresh) {
+            const { tokens: rotated } = tokens.rotateRefreshToken(req.cookies.deskly_refresh);
+            if (rotated) {
+                setAuthCookies(res, rotated);
+                return res.redirect(`${returnTo}?lang=${res.locals.locale}`);
+            }
+            res.clearCookie('deskly_refresh', { path: '/auth' });
+        }
+
+        // Desktop sign-in must be bound to a PKCE challenge (S256 only)
+        if (source !== 'web') {
+            if (code_challenge_method && code_challenge_method !== 'S256') {
+                return res.status(400).send('Unsupported code_challenge_method — only S256 is allowed.');
+            }
+            if (!tokens.isValidCodeChallenge(code_challenge)) {
+                return res.status(400).send('Missing or malformed code_challenge. Please update the Deskly app.');
+            }
+        }
+
+        // Enterprise SSO: an explicit organization_id / connection, or the email-first
+        // step routing by domain (content/sso-domains.json)
+        const routing = sso.resolve(req.query, { emailStep: identity.supportsSso });
+        if (routing.askEmail || routing.error === 'invalid_email') {
+            const page = pageContext(res);
+            const error = routing.error && page.t('pages.login.invalidEmail');
+            return res.status(error ? 400 : 200).send(emailLoginPage(req.query, error, page));
+        }
+        if (routing.error) {
+            return res.status(400).send(routing.error);
+        }
+
+        // CSRF-safe OAuth state: random nonce stored in a short-lived cookie
+        const nonce = crypto.randomBytes(24).toString('base64url');
+        const statePayload = {
+            n: nonce,
+            device: source === 'web' ? null : devices.cleanDeviceInfo(req.query),
+            source: source || 'desktop',
+            code_challenge: source === 'web' ? null : code_challenge,
+            locale: res.locals.locale,
+            return_to: source === 'web' ? returnTo : undefined,
+        };
+        const state = JSON.stringify(statePayload);
+
+        // Store nonce in a short-lived cookie to verify on callback
+        res.cookie('oauth_nonce', nonce, {
+            httpOnly: true,
+            secure: isProduction,
+            sameSite: 'lax',
+            maxAge: 10 * 60 * 1000, // 10 minutes — plenty for OAuth round-trip
+            path: '/auth/callback',
+        });
+
+        res.redirect(await identity.authorizationUrl({ redirectUri: `${baseUrl}/auth/callback`, state, ...routing.route }));
+    } catch (err) {
+        logger.error(`Error starting ${identity.label} auth`, { err });
+        next(err);
     }
+});
+
+// ─── Auth: Mock provider consent (development / tests only) ────────────────────
+
+if (identity.name === 'mock') {
+    app.get('/auth/mock/authorize', authLimiter, (req, res) => {
+        const choices = identity.usersFor(req.query.organization_id && String(req.query.organization_id));
+        res.send(mockConsentPage(String(req.query.state || ''), choices, pageContext(res)));
+    });
+
+    app.post('/auth/mock/authorize', authLimiter, formBody, (req, res) => {
+        const { state = '', user_id: userId, deny } = req.body || {};
+        const target = { redirectUri: `${baseUrl}/auth/callback`, state: String(state) };
+        const redirect = deny ? identity.deny(target) : identity.approve(String(userId || ''), target);
+        if (!redirect) return res.status(400).send('Unknown test user');
+        res.redirect(redirect);
+    });
+}
+
+// ─── Auth: OAuth Callback ──────────────────────────────────────────────────────
+
+app.get('/auth/callback', authLimiter, lockoutGuard, async (req, res, next) => {
+    try {
+        const { code, state, error } = req.query;
+
+        if (error) {
+            return res.status(400).send('Sign-in was cancelled or refused by the identity provider. Please try again.');
+        }
+        if (!code) {
+            return res.status(400).send('Missing authorization code from the identity provider');
+        }
+
+        // Verify CSRF nonce from the state matches the cookie
+        let context = { source: 'desktop', device: null, code_challenge: null, locale: res.locals.locale, returnTo: '/account' };
+        try {
+            if (state) {
+                const parsed = JSON.parse(state);
+                const savedNonce = req.cookies?.oauth_nonce;
+                if (!savedNonce || parsed.n !== savedNonce) {
+                    recordAuthFailure(req, 'callback');
+                    return res.status(403).send('OAuth state mismatch — possible CSRF. Please try signing in again.');
+                }
+                context = {
+                    source: parsed.source || 'desktop',
+                    device: parsed.device ? devices.cleanDeviceInfo({
+                        device_id: parsed.device.deviceId,
+                        device_name: parsed.device.name,
+                        platform: parsed.device.platform,
+                    }) : null,
+                    code_challenge: parsed.code_challenge || null,
+                    locale: i18n.isLocale(parsed.locale) ? parsed.locale : context.locale,
+                    returnTo: WEB_RETURN_PATHS.includes(parsed.return_to) ? parsed.return_to : context.returnTo,
+                };
+            }
+        } catch { /* ignore malformed state */ }
+
+        // Clear the one-time nonce cookie
+        res.clearCookie('oauth_nonce', { path: '/auth/callback' });
+
+        // Exchange code for user
+        const user = await identity.authenticate({ code: String(code), redirectUri: `${baseUrl}/auth/callback` });
+
+        if (context.source === 'web') {
+            // Web login — cookies only, then on to /account
+            recordAuthSuccess(req, 'callback', { sub: user.id });
+            setAuthCookies(res, tokens.issueTokens(user));
+            return res.redirect(`${context.returnTo}?lang=${context.locale}`);
+        }
+
+        if (!tokens.isValidCodeChallenge(context.code_challenge)) {
+            return res.status(400).send('Missing code_challenge — please start sign-in from the Deskly app.');
+        }
+        recordAuthSuccess(req, 'callback', { sub: user.id, device: context.device?.deviceId });
+
+        // Desktop login — the deep link only carries a single-use code; the app
+        // redeems it at /api/token with its PKCE verifier
+        const authCode = tokens.createAuthCode(user, context.code_challenge, context.device);
+        const deepLink = `${desktopScheme}://auth/callback?code=${encodeURIComponent(authCode)}`;
+        res.locals.locale = context.locale;
+        res.send(desktopCallbackPage(user, deepLink, pageContext(res)));
+    } catch (err) {
+        metrics.authEvents.inc({ flow: 'callback', outcome: 'error' });
+        logger.error(`Error in ${identity.label} callback`, { err });
+        next(err);
+    }
+});
+
+// ─── Webhooks: WorkOS ──────────────────────────────────────────────────────────
+// Keeps our sessions in step with WorkOS (lib/webhooks). The signature covers
+// the exact bytes sent, so the body is read raw. Bad signatures count as auth
+// failures towards the IP lockout.
+
+app.post('/webhooks/workos', webhookLimiter, lockoutGuard, express.raw({ type: 'application/json', limit: '64kb' }),
+    async (req, res, next) => {
+        if (!webhooks.configured()) return res.status(503).json({ error: 'Webhooks are not configured' });
+        if (!Buffer.isBuffer(req.body)) return res.status(415).json({ error: 'Expected application/json' });
+
+        const { event, error, status } = webhooks.verify(req.body, req.get('WorkOS-Signature'));
+        if (error) {
+            if (status === 401) recordAuthFailure(req, 'webhook');
+            return res.status(status).json({ error });
+        }
+        try {
+            const outcome = await webhooks.handle(event);
+            metrics.webhookEvents.inc({ event: event.event, outcome });
+            logger.info('WorkOS webhook', { eventId: event.id, event: event.event, outcome });
+            res.json({ received: true });
+        } catch (err) {
+            logger.error('Could not apply WorkOS webhook', { eventId: event.id, event: event.event, err });
+            next(err);
+        }
+    });
+
+// ─── JWKS: public keys for offline token verification ──────────────────────────
+
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(keys.jwks());
+});
+
+// ─── API: Redeem desktop authorization code ────────────────────────────────────
+
+app.post('/api/token', authLimiter, jsonBody, lockoutGuard, (req, res) => {
+    const { code, code_verifier } = req.body || {};
+
+    const { tokens: issued, userId, device, error } = tokens.redeemAuthCode(code, code_verifier);
+    if (error) {
+        recordAuthFailure(req, 'token');
+        return res.status(400).json({ error });
+    }
+    devices.recordSignIn(userId, device, issued.family);
+    recordAuthSuccess(req, 'token');
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        token_type: 'Bearer',
+        access_token: issued.accessToken,
+        refresh_token: issued.refreshToken,
+        expires_in: issued.expiresIn,
+    });
+});
+
+// ─── Auth: Refresh ─────────────────────────────────────────────────────────────
+
+// Desktop app sends { refresh_token } as JSON; the website relies on its cookie
+app.post('/auth/refresh', authLimiter, jsonBody, lockoutGuard, (req, res) => {
+    const fromCookie = !req.body?.refresh_token;
+    const refreshToken = req.body?.refresh_token || req.cookies?.deskly_refresh;
+
+    if (!refreshToken) {
+        return res.status(401).json({ error: 'Missing refresh token' });
+    }
+
+    const { tokens: rotated, error } = tokens.rotateRefreshToken(refreshToken);
+    if (error) {
+        recordAuthFailure(req, 'refresh');
+        if (fromCookie) clearAuthCookies(res);
+        return res.status(401).json({ error });
+    }
+    recordAuthSuccess(req, 'refresh');
+
+    res.set('Cache-Control', 'no-store');
+    if (fromCookie) {
+        setAuthCookies(res, rotated);
+        return res.json({ expires_in: rotated.expiresIn });
+    }
+
+    res.json({
+        token_type: 'Bearer',
+        access_token: rotated.accessToken,
+        refresh_token: rotated.refreshToken,
+        expires_in: rotated.expiresIn,
+    });
+});
+
+// ─── Auth: Sign Out ────────────────────────────────────────────────────────────
+
+/** Revoke whatever session the request carries, so copies of the token stop working too */
+function signOut(req, res) {
+    const payload = verifyToken(tokenFromRequest(req) || '');
+    if (payload) tokens.revokeToken(payload);
+    if (req.cookies?.deskly_refresh) tokens.revokeRefreshToken(req.cookies.deskly_refresh);
+    clearAuthCookies(res);
+
+    // API clients (desktop app) get a plain status instead of a redirect
+    if (req.headers.authorization) return res.status(204).end();
+    res.redirect('/');
+}
+
+app.post('/auth/logout', signOut);
+
+// Old links and bookmarks land on a confirmation page: a GET must not revoke
+// anything, or any page could sign visitors out with an <img src>
+app.get('/auth/logout', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.send(signOutPage(pageContext(res)));
+});
+
+// ─── API: Analytics ────────────────────────────────────────────────────────────
+// Aggregates only — read with `Authorization: Bearer $ANALYTICS_API_KEY`
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+app.get('/api/analytics', apiLimiter, (req, res) => {
+    const key = process.env.ANALYTICS_API_KEY;
+    const given = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const digest = (v) => crypto.createHash('sha256').update(v).digest();
+    const matches = key && crypto.timingSafeEqual(digest(given), digest(key));
+    if (!matches) {
+        return res.status(401).json({ error: 'Invalid analytics key' });
+    }
+
+    const { from, to } = req.query;
+    if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+        return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(analytics.query({ from, to }));
+});
+
+// ─── API: Verify token (desktop app or website can call this) ──────────────────
 
-    res.send(accountPage(user));
+// Prefer explicit Bearer token (desktop app, API clients), fall back to cookie (website)
+app.get('/api/me', apiLimiter, requireApiUser, (req, res) => {
+    devices.touch(req.user.sid);
+    res.json({ user: req.user });
 });
 
-// ─── Auth: Start Login ─────────────────────────────────────────────────────────
+// ─── API: Export everything we hold about the user ─────────────────────────────
 
-app.get('/auth/login', authLimiter, async (req, res, next) => {
+app.get('/api/me/export', apiLimiter, requireApiUser, async (req, res, next) => {
     try {
-        const { device_id, source } = req.query;
-
-        // CSRF-safe OAuth state: random nonce stored in a short-lived cookie
-        const nonce = crypto.randomBytes(24).toString('base64url');
-        const statePayload = {
-            n: nonce,
-            device_id: device_id || null,
-            source: source || 'desktop',
-        };
-        const state = JSON.stringify(statePayload);
-
-        // Store nonce in a short-lived cookie to verify on callback
-        res.cookie('oauth_nonce', nonce, {
-            httpOnly: true,
-            secure: isProduction,
-            sameSite: 'lax',
-            maxAge: 10 * 60 * 1000, // 10 minutes — plenty for OAuth round-trip
-            path: '/auth/callback',
-        });
-
-        const authorizationUrl = getWorkOS().userManagement.getAuthorizationUrl({
-            clientId: process.env.WORKOS_CLIENT_ID,
-            redirectUri: `${baseUrl}/auth/callback`,
-            provider: 'authkit',
-            state,
-        });
+        const { sub, email, name, picture } = req.user;
+        const exportedAt = new Date().toISOString();
+        const data = await userData.exportAll(sub);
 
-        res.redirect(authorizationUrl);
+        res.set('Cache-Control', 'no-store');
+        res.attachment(`deskly-account-${exportedAt.slice(0, 10)}.json`);
+        res.json({ exportedAt, profile: { id: sub, email, name, picture }, ...data });
     } catch (err) {
-        console.error('Error starting WorkOS auth:', err);
         next(err);
     }
 });
 
-// ─── Auth: OAuth Callback ──────────────────────────────────────────────────────
+// ─── API: Settings sync ────────────────────────────────────────────────────────
+// Preferences only (categories, ignored apps, goals). The document version is
+// the ETag: GET revalidates with If-None-Match, PUT must send If-Match and
+// gets 412 plus the current document when another device wrote first.
 
-app.get('/auth/callback', authLimiter, async (req, res, next) => {
-    try {
-        const { code, state } = req.query;
+const settingsBody = express.json({ limit: '256kb' });
 
-        if (!code) {
-            return res.status(400).send('Missing authorization code from WorkOS');
-        }
+/** Name of the device a token belongs to, for "last changed on …" */
+function deviceNameFor(user) {
+    return devices.listForUser(user.sub).find((d) => d.family === user.sid)?.name || null;
+}
 
-        // Verify CSRF nonce from the state matches the cookie
-        let context = { source: 'desktop', device_id: null };
-        try {
-            if (state) {
-                const parsed = JSON.parse(state);
-                const savedNonce = req.cookies?.oauth_nonce;
-                if (!savedNonce || parsed.n !== savedNonce) {
-                    return res.status(403).send('OAuth state mismatch — possible CSRF. Please try signing in again.');
-                }
-                context = { source: parsed.source || 'desktop', device_id: parsed.device_id || null };
-            }
-        } catch { /* ignore malformed state */ }
+function sendSettings(res, document, status = 200) {
+    res.set({ ETag: settings.etag(document.version), 'Cache-Control': 'private, no-cache' });
+    res.status(status).json(document);
+}
 
-        // Clear the one-time nonce cookie
-        res.clearCookie('oauth_nonce', { path: '/auth/callback' });
+app.get('/api/me/settings', apiLimiter, requireApiUser, (req, res) => {
+    const document = settings.get(req.user.sub);
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && settings.matches(ifNoneMatch, document.version)) {
+        res.set('ETag', settings.etag(document.version));
+        return res.status(304).end();
+    }
+    sendSettings(res, document);
+});
 
-        // Exchange code for user
-        const { user } = await getWorkOS().userManagement.authenticateWithCode({
-            clientId: process.env.WORKOS_CLIENT_ID,
-            code: String(code),
-        });
+app.put('/api/me/settings', apiLimiter, requireApiUser, settingsBody, (req, res) => {
+    const result = settings.put(req.user.sub, req.body, req.get('If-Match'), deviceNameFor(req.user));
+    if (result.current) {
+        res.set('ETag', settings.etag(result.current.version));
+        return res.status(result.status).json({ error: result.error, current: result.current });
+    }
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    sendSettings(res, result.document);
+});
 
-        // Create a signed JWT
-        const token = signToken(user);
+app.delete('/api/me/settings', apiLimiter, requireApiUser, (req, res) => {
+    sendSettings(res, settings.reset(req.user.sub, deviceNameFor(req.user)));
+});
 
-        // Always set a cookie so the website can show signed-in state
-        res.cookie('deskly_token', token, {
-            httpOnly: true,
-            secure: isProduction,
-            sameSite: 'lax',
-            maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-        });
+// ─── API: Encrypted vault backups ──────────────────────────────────────────────
+// The app encrypts before upload; the server only stores and hands back bytes.
 
-        if (context.source === 'web') {
-            // Web login — redirect to /account
-            return res.redirect('/account');
+/** Send a lib-style { error, status } result as JSON */
+function sendResult(res, { error, status, ...body }, okStatus = 200) {
+    if (error) return res.status(status || 400).json({ error });
+    res.status(okStatus).json(body);
+}
+
+app.get('/api/vault/snapshots', apiLimiter, requireApiUser, (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ snapshots: vault.list(req.user.sub), ...vault.quota(req.user.sub) });
+});
+
+// Body: { size, sha256, header? } → upload session with chunkSize/chunkCount
+app.post('/api/vault/snapshots', apiLimiter, requireApiUser, jsonBody, (req, res) => {
+    const { size, sha256, header } = req.body || {};
+    sendResult(res, vault.createUpload(req.user.sub, { size, sha256, header }), 201);
+});
+
+app.put('/api/vault/snapshots/:id/chunks/:index',
+    apiLimiter,
+    requireApiUser,
+    express.raw({ type: 'application/octet-stream', limit: vault.CHUNK_SIZE }),
+    async (req, res, next) => {
+        try {
+            const index = Number(req.params.index);
+            const result = await vault.putChunk(req.user.sub, req.params.id, index, req.body, req.get('X-Content-SHA256'));
+            sendResult(res, result);
+        } catch (err) {
+            next(err);
         }
+    }
+);
 
-        // Desktop login — redirect to deep link so Electron picks it up
-        const deepLink = `${desktopScheme}://auth/callback?token=${encodeURIComponent(token)}`;
-        res.send(desktopCallbackPage(user, deepLink));
+app.post('/api/vault/snapshots/:id/complete', apiLimiter, requireApiUser, async (req, res, next) => {
+    try {
+        sendResult(res, await vault.complete(req.user.sub, req.params.id));
     } catch (err) {
-        console.error('Error in WorkOS callback:', err);
         next(err);
     }
 });
 
-// ─── Auth: Sign Out ────────────────────────────────────────────────────────────
+app.get('/api/vault/snapshots/:id', apiLimiter, requireApiUser, (req, res, next) => {
+    const { snapshot, file, error, status } = vault.getBlob(req.user.sub, req.params.id);
+    if (error) return res.status(status).json({ error });
 
-app.post('/auth/logout', (req, res) => {
-    res.clearCookie('deskly_token');
-    res.redirect('/');
+    res.sendFile(file, {
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'Cache-Control': 'no-store',
+            'X-Content-SHA256': snapshot.sha256,
+        },
+        etag: false,
+        lastModified: false,
+    }, (err) => err && next(err));
 });
 
-// Keep GET as a fallback so direct links / bookmarked logouts still work
-app.get('/auth/logout', (req, res) => {
-    res.clearCookie('deskly_token');
-    res.redirect('/');
+app.delete('/api/vault/snapshots/:id', apiLimiter, requireApiUser, (req, res) => {
+    if (!vault.remove(req.user.sub, req.params.id)) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    res.status(204).end();
 });
 
-// ─── API: Verify token (desktop app or website can call this) ──────────────────
+// ─── Shared report cards ───────────────────────────────────────────────────────
+// Opt-in, aggregate-only summaries from the desktop app. The public pages are
+// kept out of search engines and vanish when the share expires or is deleted.
 
-app.get('/api/me', apiLimiter, (req, res) => {
-    const authHeader = req.headers.authorization;
-    let token = null;
+/** 118800 → "33h 0m", 2700 → "45m" */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
 
-    // Prefer explicit Bearer token (desktop app, API clients)
-    if (authHeader?.startsWith('Bearer ')) {
-        token = authHeader.slice(7);
-    } else if (req.cookies?.deskly_token) {
-        // Fallback to cookie (website)
-        token = req.cookies.deskly_token;
-    }
+/** Localised, formatted strings for a share's page and social card */
+function shareView(share, locale) {
+    const t = i18n.translator(locale);
+    const { period, totalSeconds, activeDays, topCategories } = share.summary;
+    const day = (date) => new Date(`${date}T00:00:00Z`);
+    return {
+        heading: t('pages.share.heading'),
+        total: formatDuration(totalSeconds),
+        period: new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' })
+            .formatRange(day(period.start), day(period.end)),
+        subtitle: activeDays === null ? '' : t('pages.share.activeDays', { days: activeDays }),
+        categories: topCategories.map((c) => ({
+            label: t(`pages.share.categories.${c.category}`),
+            value: formatDuration(c.seconds),
+            share: totalSeconds ? Math.min(1, c.seconds / totalSeconds) : 0,
+        })),
+    };
+}
 
-    if (!token) {
-        return res.status(401).json({ error: 'Missing token' });
+app.post('/api/share', apiLimiter, requireApiUser, jsonBody, (req, res) => {
+    const { share, deleteToken, error, status } = shares.create(req.user.sub, req.body);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json({
+        id: share.id,
+        url: absoluteUrl(`/r/${share.id}`),
+        imageUrl: absoluteUrl(`/r/${share.id}/og.png`),
+        deleteUrl: absoluteUrl(`/r/${share.id}/delete?token=${deleteToken}`),
+        expiresAt: share.expiresAt,
+    });
+});
+
+app.delete('/api/share/:id', apiLimiter, requireApiUser, (req, res) => {
+    if (!shares.removeForUser(req.user.sub, req.params.id)) {
+        return res.status(404).json({ error: 'Share not found' });
     }
+    res.status(204).end();
+});
 
-    const user = verifyToken(token);
-    if (!user) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
+app.get('/r/:id', (req, res, next) => {
+    const share = shares.get(req.params.id);
+    if (!share) return next();
+    // In the sharer's language, matching the card crawlers pick up
+    const page = { ...pageContext(res), locale: share.locale, t: i18n.translator(share.locale) };
+    res.set({ 'Cache-Control': 'no-cache', 'X-Robots-Tag': 'noindex' });
+    res.send(sharePage(share, shareView(share, share.locale), page));
+});
+
+app.get('/r/:id/og.png', async (req, res, next) => {
+    try {
+        const share = shares.get(req.params.id);
+        if (!share) return next();
+        const png = await shares.image(share,
+            (s) => ogImage.toPng(ogImage.shareSvg(shareView(s, s.locale)), 1200, 630));
+        res.set({ 'Cache-Control': 'public, max-age=300', 'X-Robots-Tag': 'noindex' });
+        res.type('image/png').send(png);
+    } catch (err) {
+        next(err);
     }
+});
+
+// The delete link confirms first, so link previews can't delete a card
+app.get('/r/:id/delete', (req, res) => {
+    const page = pageContext(res);
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.send(shareDeletePage(req.params.id, token, page));
+});
 
-    res.json({ user });
+app.post('/r/:id/delete', apiLimiter, formBody, (req, res) => {
+    const page = pageContext(res);
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    if (!shares.removeWithToken(req.params.id, req.body?.token)) {
+        return res.status(404).send(shareDeletedPage(page, false));
+    }
+    res.send(shareDeletedPage(page, true));
 });
 
 // ─── HTML Templates ────────────────────────────────────────────────────────────
 
-function desktopCallbackPage(user, deepLink) {
+function desktopCallbackPage(user, deepLink, { nonce, locale, t }) {
     const displayName = user.firstName
         ? `${user.firstName}${user.lastName ? ' ' + user.lastName : ''}`
         : user.email;
 
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>Signed In — Deskly</title>
-    <style>
+    <title>${esc(t('pages.callback.title'))} — Deskly</title>
+    <style nonce="${nonce}">
         * { margin:0; padding:0; box-sizing:border-box; }
         body {
             font-family: 'Inter', system-ui, -apple-system, sans-serif;
@@ -339,16 +1617,15 @@ function desktopCallbackPage(user, deepLink) {
 <body>
     <div class="card">
         <div class="check">✓</div>
-        <h1>Welcome, ${esc(displayName)}!</h1>
+        <h1>${esc(t('pages.callback.welcome', { name: displayName }))}</h1>
         <p class="email">${esc(user.email)}</p>
-        <p class="hint">You're all set. Click below to return to the Deskly app.</p>
-        <a href="${esc(deepLink)}" class="btn">Open Deskly App</a>
+        <p class="hint">${esc(t('pages.callback.hint'))}</p>
+        <a href="${esc(deepLink)}" class="btn">${esc(t('pages.callback.open'))}</a>
         <p class="manual">
-            Button not working? <a href="${esc(deepLink)}">Click here</a> or copy this link:<br/>
-            <code style="font-size:0.7rem;color:#6b7280;word-break:break-all;">${esc(deepLink)}</code>
+            ${esc(t('pages.callback.manualPrefix'))} <a href="${esc(deepLink)}">${esc(t('pages.callback.manualLink'))}</a>${esc(t('pages.callback.manualSuffix'))}
         </p>
     </div>
-    <script>
+    <script nonce="${nonce}">
         // Auto-redirect to the deep link
         setTimeout(() => { window.location.href = "${esc(deepLink)}"; }, 1500);
     </script>
@@ -356,14 +1633,53 @@ function desktopCallbackPage(user, deepLink) {
 </html>`;
 }
 
-function accountPage(user) {
+function accountPage(user, deviceList, synced, { nonce, locale, t }) {
+    const formatDate = (iso) => new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }).format(new Date(iso));
+    const deviceRows = deviceList.map((d) => `
+        <div class="device-row">
+            <div>
+                <div class="device-name">${esc(d.name)}${d.platform ? ` <span class="device-platform">${esc(d.platform)}</span>` : ''}</div>
+                <div class="device-meta">${esc(t('pages.account.deviceSeen', { first: formatDate(d.firstSeen), last: formatDate(d.lastSeen) }))}</div>
+            </div>
+            <form action="/account/devices/${esc(d.id)}/revoke" method="post">
+                <button type="submit" class="btn-small">${esc(t('pages.account.revoke'))}</button>
+            </form>
+        </div>`).join('');
+
+    const { categories, ignoredApps, goals } = synced.settings;
+    const categoryName = (id) => categories.find((c) => c.id === id)?.name || t(`pages.share.categories.${id}`);
+    const goalText = (g) => t(`pages.account.goals.${g.kind}${g.period === 'day' ? 'Day' : 'Week'}`, {
+        duration: formatDuration(g.minutes * 60),
+        category: categoryName(g.category),
+    });
+    const settingsMeta = synced.version && t(synced.updatedBy ? 'pages.account.settingsMetaDevice' : 'pages.account.settingsMeta', {
+        version: synced.version,
+        date: formatDate(synced.updatedAt),
+        device: synced.updatedBy,
+    });
+    const settingsList = (label, items) => `
+        <div class="settings-group">
+            <div class="info-label">${esc(label)}</div>
+            ${items.length ? `<ul>${items.join('')}</ul>` : `<p class="device-meta">${esc(t('pages.account.settingsEmptyList'))}</p>`}
+        </div>`;
+    const settingsView = synced.version === 0 ? `<p class="device-empty">${esc(t('pages.account.settingsNone'))}</p>` : `
+        <p class="device-meta">${esc(settingsMeta)}</p>
+        ${settingsList(t('pages.account.settingsCategories'), categories.map((c) => `
+            <li><span class="swatch" style="background:${esc(c.color)}"></span>${esc(c.name)}</li>`))}
+        ${settingsList(t('pages.account.settingsIgnored'), ignoredApps.map((app) => `<li>${esc(app)}</li>`))}
+        ${settingsList(t('pages.account.settingsGoals'), goals.map((g) => `<li>${esc(goalText(g))}</li>`))}
+        <p class="device-meta">${esc(t('pages.account.settingsReadOnly'))}</p>
+        <form action="/account/settings/reset" method="post">
+            <button type="submit" class="btn-secondary">${esc(t('pages.account.settingsReset'))}</button>
+        </form>`;
+
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>Account — Deskly</title>
-    <style>
+    <title>${esc(t('pages.account.title'))} — Deskly</title>
+    <style nonce="${nonce}">
         * { margin:0; padding:0; box-sizing:border-box; }
         body {
             font-family: 'Inter', system-ui, -apple-system, sans-serif;
@@ -373,6 +1689,7 @@ function accountPage(user) {
             align-items: center;
             justify-content: center;
             min-height: 100vh;
+            padding: 24px;
         }
         .card {
             background: #0F1117;
@@ -407,6 +1724,39 @@ function accountPage(user) {
             cursor: pointer; font-size: 0.95rem;
         }
         .btn-logout:hover { background: rgba(239,68,68,0.1); }
+        .section-title {
+            font-size: 0.8rem; font-weight: 600; color: #6b7280;
+            text-transform: uppercase; letter-spacing: 0.06em;
+            margin: 28px 0 4px;
+        }
+        .device-row {
+            display: flex; justify-content: space-between; align-items: center; gap: 12px;
+            padding: 12px 0;
+            border-top: 1px solid rgba(148,163,184,0.1);
+        }
+        .device-name { font-weight: 500; }
+        .device-platform { color: #6b7280; font-size: 0.75rem; font-weight: 400; }
+        .device-meta { color: #6b7280; font-size: 0.78rem; margin-top: 2px; }
+        .device-empty { color: #6b7280; font-size: 0.85rem; padding: 12px 0; border-top: 1px solid rgba(148,163,184,0.1); }
+        .btn-small {
+            padding: 6px 12px; border-radius: 8px; border: 1px solid rgba(148,163,184,0.25);
+            background: transparent; color: #E8E6EB; font-size: 0.8rem; cursor: pointer;
+        }
+        .btn-small:hover { border-color: #EF4444; color: #EF4444; }
+        .btn-secondary {
+            display: block; width: 100%; margin-top: 12px;
+            padding: 10px 0; border-radius: 12px; border: 1px solid rgba(148,163,184,0.25);
+            background: transparent; color: #A8A5B0; font-weight: 500;
+            cursor: pointer; font-size: 0.9rem;
+        }
+        .btn-secondary:hover { border-color: #EF4444; color: #EF4444; }
+        .settings-group { padding: 12px 0; border-top: 1px solid rgba(148,163,184,0.1); }
+        .settings-group ul { list-style: none; margin-top: 6px; font-size: 0.88rem; line-height: 1.7; }
+        .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 3px; margin-right: 8px; }
+        .account-links { display: flex; justify-content: space-between; margin-top: 20px; font-size: 0.82rem; }
+        .account-links a { color: #818CF8; text-decoration: none; }
+        .account-links a.danger { color: #6b7280; }
+        .account-links a.danger:hover { color: #EF4444; }
     </style>
 </head>
 <body>
@@ -417,19 +1767,702 @@ function accountPage(user) {
                 : esc(user.name?.charAt(0)?.toUpperCase() || '?')
             }
         </div>
-        <h1>${esc(user.name || 'Deskly User')}</h1>
+        <h1>${esc(user.name || t('pages.account.defaultName'))}</h1>
         <p class="email">${esc(user.email)}</p>
         <div class="info-row">
-            <span class="info-label">User ID</span>
+            <span class="info-label">${esc(t('pages.account.userId'))}</span>
             <span class="info-value" style="font-size:0.8rem;color:#6b7280;">${esc(user.sub)}</span>
         </div>
         <div class="info-row">
-            <span class="info-label">Auth Provider</span>
-            <span class="info-value">WorkOS</span>
+            <span class="info-label">${esc(t('pages.account.authProvider'))}</span>
+            <span class="info-value">${esc(identity.label)}</span>
+        </div>
+        ${user.org_id ? `
+        <div class="info-row">
+            <span class="info-label">${esc(t('pages.account.organization'))}</span>
+            <span class="info-value">${esc(user.org_name || user.org_id)}</span>
         </div>
+        <div class="info-row">
+            <span class="info-label">${esc(t('pages.account.role'))}</span>
+            <span class="info-value">${esc(user.role || '—')}</span>
+        </div>` : ''}
+        <h2 class="section-title">${esc(t('pages.account.devicesTitle'))}</h2>
+        ${deviceRows || `<p class="device-empty">${esc(t('pages.account.devicesNone'))}</p>`}
+        <h2 class="section-title" id="settings">${esc(t('pages.account.settingsTitle'))}</h2>
+        ${settingsView}
+        <form action="/auth/logout" method="post">
+            <button type="submit" class="btn-logout">${esc(t('pages.account.signOut'))}</button>
+        </form>
+        <form action="/account/sign-out-everywhere" method="post">
+            <button type="submit" class="btn-secondary">${esc(t('pages.account.signOutEverywhere'))}</button>
+        </form>
+        <div class="account-links">
+            <a href="/api/me/export">${esc(t('pages.account.exportData'))}</a>
+            <a href="/account/delete" class="danger">${esc(t('pages.account.deleteAccount'))}</a>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/** Shared shell for the small single-card pages (delete confirmation, done) */
+function simplePage({ nonce, locale }, title, body, head = '') {
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${esc(title)} — Deskly</title>${head}
+    <style nonce="${nonce}">
+        * { margin:0; padding:0; box-sizing:border-box; }
+        body {
+            font-family: 'Inter', system-ui, -apple-system, sans-serif;
+            background: #020617;
+            color: #E8E6EB;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            padding: 24px;
+        }
+        .card {
+            background: #0F1117;
+            border: 1px solid rgba(148,163,184,0.15);
+            border-radius: 20px;
+            padding: 40px 32px;
+            max-width: 440px;
+            width: 100%;
+        }
+        h1 { font-size: 1.4rem; font-weight: 600; margin-bottom: 12px; }
+        p { color: #A8A5B0; line-height: 1.6; font-size: 0.92rem; margin-bottom: 20px; }
+        label { display: block; color: #6b7280; font-size: 0.85rem; margin-bottom: 8px; }
+        input {
+            width: 100%; padding: 10px 12px; border-radius: 10px;
+            border: 1px solid rgba(148,163,184,0.25); background: #020617; color: #E8E6EB;
+            font-size: 0.95rem;
+        }
+        .error { color: #EF4444; font-size: 0.85rem; margin: 12px 0 0; }
+        .btn-danger {
+            display: block; width: 100%; margin-top: 20px;
+            padding: 12px 0; border-radius: 12px; border: none;
+            background: #EF4444; color: white; font-weight: 600;
+            cursor: pointer; font-size: 0.95rem;
+        }
+        .btn-danger:hover { filter: brightness(1.08); }
+        .btn-primary {
+            display: block; width: 100%; margin-top: 20px;
+            padding: 12px 0; border-radius: 12px; border: none;
+            background: #6366F1; color: white; font-weight: 600;
+            cursor: pointer; font-size: 0.95rem;
+        }
+        .btn-primary:hover { filter: brightness(1.08); }
+        a { display: inline-block; margin-top: 16px; color: #818CF8; font-size: 0.9rem; text-decoration: none; }
+        .choice {
+            display: block; width: 100%; margin-top: 10px; padding: 12px 14px; text-align: left;
+            border-radius: 12px; border: 1px solid rgba(148,163,184,0.25);
+            background: transparent; color: #E8E6EB; font-size: 0.92rem; cursor: pointer;
+        }
+        .choice:hover { border-color: #818CF8; }
+        .choice span { display: block; color: #6b7280; font-size: 0.8rem; }
+        .choice.deny { text-align: center; color: #A8A5B0; }
+        .choice.deny:hover { border-color: #EF4444; color: #EF4444; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        ${body}
+    </div>
+</body>
+</html>`;
+}
+
+/** Email-first sign-in step; carries the original /auth/login query along */
+function emailLoginPage(query, error, page) {
+    const { t } = page;
+    const carried = Object.entries(query)
+        .filter(([key, value]) => key !== 'email' && typeof value === 'string')
+        .map(([key, value]) => `<input type="hidden" name="${esc(key)}" value="${esc(value)}" />`)
+        .join('\n            ');
+    return simplePage(page, t('pages.login.title'), `
+        <h1>${esc(t('pages.login.title'))}</h1>
+        <p>${esc(t('pages.login.intro'))}</p>
+        <form action="/auth/login" method="get">
+            ${carried}
+            <label for="email">${esc(t('pages.login.emailLabel'))}</label>
+            <input id="email" name="email" type="email" autocomplete="email" value="${esc(typeof query.email === 'string' ? query.email : '')}" required autofocus />
+            ${error ? `<p class="error">${esc(error)}</p>` : ''}
+            <button type="submit" class="btn-primary">${esc(t('pages.login.continue'))}</button>
+        </form>`);
+}
+
+/** Fake consent screen for the mock identity provider */
+function mockConsentPage(state, users, page) {
+    const choices = users.map((u) => `
+            <button type="submit" name="user_id" value="${esc(u.id)}" class="choice">
+                <strong>${esc([u.firstName, u.lastName].filter(Boolean).join(' ') || u.email)}</strong>
+                <span>${esc(u.email)}</span>
+            </button>`).join('');
+    return simplePage(page, 'Mock sign-in', `
+        <h1>Mock sign-in</h1>
+        <p>Local test provider — no real account is used. Deskly is asking to read the profile of:</p>
+        <form action="/auth/mock/authorize" method="post">
+            <input type="hidden" name="state" value="${esc(state)}" />
+            ${choices}
+            <button type="submit" name="deny" value="1" class="choice deny">Deny</button>
+        </form>`);
+}
+
+function deleteAccountPage(user, error, page) {
+    const { t } = page;
+    return simplePage(page, t('pages.deleteAccount.title'), `
+        <h1>${esc(t('pages.deleteAccount.title'))}</h1>
+        <p>${esc(t('pages.deleteAccount.warning'))}</p>
+        <form action="/account/delete" method="post">
+            <label for="confirm_email">${esc(t('pages.deleteAccount.confirmLabel', { email: user.email }))}</label>
+            <input id="confirm_email" name="confirm_email" type="email" autocomplete="off" required />
+            ${error ? `<p class="error">${esc(error)}</p>` : ''}
+            <button type="submit" class="btn-danger">${esc(t('pages.deleteAccount.submit'))}</button>
+        </form>
+        <a href="/account">${esc(t('pages.deleteAccount.cancel'))}</a>`);
+}
+
+function signOutPage(page) {
+    const { t } = page;
+    return simplePage(page, t('pages.signOut.title'), `
+        <h1>${esc(t('pages.signOut.title'))}</h1>
+        <p>${esc(t('pages.signOut.confirm'))}</p>
         <form action="/auth/logout" method="post">
-            <button type="submit" class="btn-logout">Sign Out</button>
+            <button type="submit" class="btn-primary">${esc(t('pages.signOut.submit'))}</button>
+        </form>
+        <a href="/account">${esc(t('pages.signOut.cancel'))}</a>`);
+}
+
+function accountDeletedPage(page) {
+    const { t, locale } = page;
+    return simplePage(page, t('pages.deleteAccount.doneTitle'), `
+        <h1>${esc(t('pages.deleteAccount.doneTitle'))}</h1>
+        <p>${esc(t('pages.deleteAccount.doneBody'))}</p>
+        <a href="${i18n.localePath(locale)}">${esc(t('pages.account.backHome'))}</a>`);
+}
+
+function waitlistConfirmPage(entry, action, page) {
+    const { t } = page;
+    return simplePage(page, t('pages.waitlist.confirmTitle'), `
+        <h1>${esc(t('pages.waitlist.confirmTitle'))}</h1>
+        <p>${esc(t('pages.waitlist.confirmBody', { email: entry.email, platform: waitlist.PLATFORM_NAMES[entry.platform] }))}</p>
+        <form action="${esc(action)}" method="post">
+            <button type="submit" class="btn-primary">${esc(t('pages.waitlist.confirmSubmit'))}</button>
+        </form>`);
+}
+
+function waitlistConfirmedPage(entry, page) {
+    const { t, locale } = page;
+    const title = entry ? t('pages.waitlist.confirmedTitle') : t('pages.waitlist.invalidTitle');
+    return simplePage(page, title, `
+        <h1>${esc(title)}</h1>
+        <p>${esc(entry
+        ? t('pages.waitlist.confirmedBody', { platform: waitlist.PLATFORM_NAMES[entry.platform] })
+        : t('pages.waitlist.invalidBody'))}</p>
+        <a href="${i18n.localePath(locale)}">${esc(t('pages.account.backHome'))}</a>`);
+}
+
+function waitlistUnsubscribePage(entry, action, page) {
+    const { t, locale } = page;
+    if (!entry) {
+        return simplePage(page, t('pages.waitlist.unsubscribeTitle'), `
+        <h1>${esc(t('pages.waitlist.unsubscribeTitle'))}</h1>
+        <p>${esc(t('pages.waitlist.unsubscribeInvalid'))}</p>
+        <a href="${i18n.localePath(locale)}">${esc(t('pages.account.backHome'))}</a>`);
+    }
+    return simplePage(page, t('pages.waitlist.unsubscribeTitle'), `
+        <h1>${esc(t('pages.waitlist.unsubscribeTitle'))}</h1>
+        <p>${esc(t('pages.waitlist.unsubscribeBody', { email: entry.email, platform: waitlist.PLATFORM_NAMES[entry.platform] }))}</p>
+        <form action="${esc(action)}" method="post">
+            <button type="submit" class="btn-danger">${esc(t('pages.waitlist.unsubscribeSubmit'))}</button>
+        </form>`);
+}
+
+function waitlistUnsubscribedPage(done, page) {
+    const { t, locale } = page;
+    const title = done ? t('pages.waitlist.unsubscribedTitle') : t('pages.waitlist.unsubscribeTitle');
+    return simplePage(page, title, `
+        <h1>${esc(title)}</h1>
+        <p>${esc(done ? t('pages.waitlist.unsubscribedBody') : t('pages.waitlist.unsubscribeInvalid'))}</p>
+        <a href="${i18n.localePath(locale)}">${esc(t('pages.account.backHome'))}</a>`);
+}
+
+/** Public page for a shared report card, with its own social card */
+function sharePage(share, view, page) {
+    const { t, locale, nonce } = page;
+    const title = t('pages.share.title', { total: view.total });
+    const description = t('pages.share.description', { period: view.period });
+    const image = absoluteUrl(`/r/${share.id}/og.png`);
+    const expires = new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(share.expiresAt));
+    const head = `
+    <meta name="robots" content="noindex" />
+    <meta name="description" content="${esc(description)}" />
+    <meta property="og:type" content="website" />
+    <meta property="og:url" content="${esc(absoluteUrl(`/r/${share.id}`))}" />
+    <meta property="og:title" content="${esc(title)}" />
+    <meta property="og:description" content="${esc(description)}" />
+    <meta property="og:image" content="${esc(image)}" />
+    <meta property="og:image:width" content="1200" />
+    <meta property="og:image:height" content="630" />
+    <meta name="twitter:card" content="summary_large_image" />
+    <meta name="twitter:image" content="${esc(image)}" />
+    <style nonce="${nonce}">
+        .total { font-size: 2.6rem; font-weight: 700; letter-spacing: -0.03em; margin: 4px 0; }
+        .cat { margin-top: 14px; font-size: 0.9rem; }
+        .cat-row { display: flex; justify-content: space-between; }
+        .cat-row span:last-child { color: #6b7280; }
+        .bar { height: 8px; margin-top: 6px; border-radius: 4px; background: rgba(148,163,184,0.12); }
+        .bar div { height: 100%; border-radius: 4px; background: linear-gradient(90deg, #6366F1, #818CF8); }
+        a.btn-primary { margin-top: 28px; text-align: center; color: white; }
+        .fine { margin-top: 24px; color: #6b7280; font-size: 0.8rem; }
+    </style>`;
+    const bars = view.categories.map((c) => `
+        <div class="cat">
+            <div class="cat-row"><span>${esc(c.label)}</span><span>${esc(c.value)}</span></div>
+            <div class="bar"><div style="width:${Math.round(c.share * 100)}%"></div></div>
+        </div>`).join('');
+    return simplePage(page, title, `
+        <p>${esc(view.heading)} · ${esc(view.period)}</p>
+        <h1 class="total">${esc(view.total)}</h1>
+        ${view.subtitle ? `<p>${esc(view.subtitle)}</p>` : ''}
+        ${bars ? `<label>${esc(t('pages.share.topCategories'))}</label>${bars}` : ''}
+        <a href="${i18n.localePath(locale)}" class="btn-primary">${esc(t('pages.share.cta'))}</a>
+        <p class="fine">${esc(t('pages.share.expires', { date: expires }))}</p>`, head);
+}
+
+function shareDeletePage(id, token, page) {
+    const { t } = page;
+    return simplePage(page, t('pages.share.deleteTitle'), `
+        <h1>${esc(t('pages.share.deleteTitle'))}</h1>
+        <p>${esc(t('pages.share.deleteBody'))}</p>
+        <form action="/r/${esc(encodeURIComponent(id))}/delete" method="post">
+            <input type="hidden" name="token" value="${esc(token)}" />
+            <button type="submit" class="btn-danger">${esc(t('pages.share.deleteSubmit'))}</button>
+        </form>`, '\n    <meta name="robots" content="noindex" />');
+}
+
+function shareDeletedPage(page, deleted) {
+    const { t, locale } = page;
+    const title = deleted ? t('pages.share.deletedTitle') : t('pages.share.deleteTitle');
+    return simplePage(page, title, `
+        <h1>${esc(title)}</h1>
+        <p>${esc(deleted ? t('pages.share.deletedBody') : t('pages.share.deleteInvalid'))}</p>
+        <a href="${i18n.localePath(locale)}">${esc(t('pages.account.backHome'))}</a>`);
+}
+
+/** Feedback form; the script solves the proof-of-work before posting */
+function feedbackPage(page) {
+    const { t, nonce } = page;
+    const messages = JSON.stringify({
+        working: t('pages.feedback.working'),
+        tooLarge: t('pages.feedback.tooLarge'),
+        failed: t('pages.feedback.failed'),
+        doneTitle: t('pages.feedback.doneTitle'),
+        doneBody: t('pages.feedback.doneBody'),
+    }).replace(/</g, '\\u003c');
+    const kinds = feedback.KINDS.map((kind) => `<option value="${kind}">${esc(t(`pages.feedback.kinds.${kind}`))}</option>`).join('');
+    const head = `
+    <meta name="description" content="${esc(t('pages.feedback.intro'))}" />
+    <style nonce="${nonce}">
+        .card { max-width: 520px; }
+        label { margin-top: 16px; }
+        select, textarea {
+            width: 100%; padding: 10px 12px; border-radius: 10px;
+            border: 1px solid rgba(148,163,184,0.25); background: #020617; color: #E8E6EB;
+            font: inherit; font-size: 0.95rem;
+        }
+        textarea { min-height: 140px; resize: vertical; }
+        input[type=file] { padding: 8px; font-size: 0.85rem; }
+        .hint { color: #6b7280; font-size: 0.8rem; margin: 6px 0 0; }
+        .trap { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+        #feedback-status { margin: 12px 0 0; font-size: 0.85rem; }
+    </style>`;
+    return simplePage(page, t('pages.feedback.title'), `
+        <h1>${esc(t('pages.feedback.title'))}</h1>
+        <p>${esc(t('pages.feedback.intro'))}</p>
+        <noscript><p class="error">${esc(t('pages.feedback.noscript'))}</p></noscript>
+        <form id="feedback-form">
+            <label for="kind">${esc(t('pages.feedback.kindLabel'))}</label>
+            <select id="kind" name="kind">${kinds}</select>
+            <label for="message">${esc(t('pages.feedback.messageLabel'))}</label>
+            <textarea id="message" name="message" maxlength="${feedback.MAX_MESSAGE}" required></textarea>
+            <label for="email">${esc(t('pages.feedback.emailLabel'))}</label>
+            <input id="email" name="email" type="email" autocomplete="email" />
+            <label for="appVersion">${esc(t('pages.feedback.appVersionLabel'))}</label>
+            <input id="appVersion" name="appVersion" type="text" maxlength="40" placeholder="1.4.2" />
+            <label for="os">${esc(t('pages.feedback.osLabel'))}</label>
+            <input id="os" name="os" type="text" maxlength="120" />
+            <label for="attachment">${esc(t('pages.feedback.attachmentLabel'))}</label>
+            <input id="attachment" name="attachment" type="file" accept="${feedback.ATTACHMENT_TYPES.join(',')}" />
+            <p class="hint">${esc(t('pages.feedback.attachmentHint'))}</p>
+            <div class="trap" aria-hidden="true">
+                <label for="website">Website</label>
+                <input id="website" name="website" type="text" tabindex="-1" autocomplete="off" />
+            </div>
+            <p id="feedback-status" class="error" role="status"></p>
+            <button type="submit" class="btn-primary">${esc(t('pages.feedback.submit'))}</button>
         </form>
+        <script nonce="${nonce}">
+            (() => {
+                const MAX_ATTACHMENT = ${feedback.MAX_ATTACHMENT};
+                const text = ${messages};
+                const form = document.getElementById('feedback-form');
+                const status = document.getElementById('feedback-status');
+                const button = form.querySelector('button');
+
+                const platform = navigator.userAgentData?.platform || navigator.platform || '';
+                if (platform) form.os.value = platform;
+
+                function zeroBits(hash) {
+                    let bits = 0;
+                    for (const byte of hash) {
+                        if (byte) return bits + Math.clz32(byte) - 24;
+                        bits += 8;
+                    }
+                    return bits;
+                }
+
+                // Find a nonce whose SHA-256 with the challenge starts with enough zero bits
+                async function solve(challenge, difficulty) {
+                    const encoder = new TextEncoder();
+                    for (let nonce = 0; ; nonce++) {
+                        const hash = await crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + nonce));
+                        if (zeroBits(new Uint8Array(hash)) >= difficulty) return String(nonce);
+                    }
+                }
+
+                form.addEventListener('submit', async (event) => {
+                    event.preventDefault();
+                    const file = form.attachment.files[0];
+                    if (file && file.size > MAX_ATTACHMENT) {
+                        status.textContent = text.tooLarge;
+                        return;
+                    }
+                    button.disabled = true;
+                    status.className = 'hint';
+                    status.textContent = text.working;
+                    try {
+                        const challenge = await (await fetch('/api/feedback/challenge')).json();
+                        const data = new FormData(form);
+                        if (!file) data.delete('attachment');
+                        data.set('challenge', challenge.challenge);
+                        data.set('nonce', await solve(challenge.challenge, challenge.difficulty));
+                        const res = await fetch('/api/feedback', { method: 'POST', body: data });
+                        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+                        const done = document.createElement('div');
+                        done.innerHTML = '<h1></h1><p></p>';
+                        done.querySelector('h1').textContent = text.doneTitle;
+                        done.querySelector('p').textContent = text.doneBody;
+                        form.parentNode.replaceChildren(done);
+                    } catch (err) {
+                        status.className = 'error';
+                        status.textContent = text.failed.replace('{error}', err.message);
+                        button.disabled = false;
+                    }
+                });
+            })();
+        </script>`, head);
+}
+
+/** Shared shell for the changelog and blog pages */
+function contentPage({ nonce, locale, t }, { title, description, collection, body }) {
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${esc(title)} — Deskly</title>
+    <meta name="description" content="${esc(description)}" />
+    <link rel="alternate" type="application/rss+xml" title="${esc(FEEDS[collection].title)}" href="/${collection}/rss.xml" />
+    <link rel="alternate" type="application/atom+xml" title="${esc(FEEDS[collection].title)}" href="/${collection}/atom.xml" />
+    <style nonce="${nonce}">
+        * { margin:0; padding:0; box-sizing:border-box; }
+        body {
+            font-family: 'Inter', system-ui, -apple-system, sans-serif;
+            background: #020617;
+            color: #E8E6EB;
+            line-height: 1.7;
+            padding: 56px 24px;
+        }
+        .wrap { max-width: 680px; margin: 0 auto; }
+        .top { display: flex; justify-content: space-between; font-size: 0.85rem; margin-bottom: 40px; }
+        a { color: #818CF8; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+        .subscribe { color: #6b7280; }
+        h1 { font-size: 2rem; font-weight: 700; letter-spacing: -0.03em; margin-bottom: 8px; }
+        .lede { color: #A8A5B0; margin-bottom: 40px; }
+        article { padding: 32px 0; border-top: 1px solid rgba(148,163,184,0.12); }
+        article h2 { font-size: 1.35rem; font-weight: 600; letter-spacing: -0.02em; }
+        .meta { color: #6b7280; font-size: 0.8rem; margin: 4px 0 16px; }
+        .tag { display: inline-block; margin-left: 6px; padding: 1px 8px; border-radius: 999px; border: 1px solid rgba(148,163,184,0.2); color: #A8A5B0; }
+        .draft { border-color: #F59E0B; color: #F59E0B; }
+        .prose p, .prose ul, .prose ol, .prose pre, .prose blockquote { margin-bottom: 14px; }
+        .prose ul, .prose ol { padding-left: 22px; }
+        .prose h2, .prose h3 { margin: 24px 0 8px; }
+        .prose code { font-family: ui-monospace, monospace; font-size: 0.88em; background: #0F1117; padding: 1px 5px; border-radius: 5px; }
+        .prose pre { background: #0F1117; padding: 14px; border-radius: 10px; overflow-x: auto; }
+        .prose pre code { padding: 0; }
+        .prose blockquote { border-left: 3px solid #6366F1; padding-left: 14px; color: #A8A5B0; }
+        .prose img { max-width: 100%; border-radius: 10px; }
+        .empty { color: #6b7280; }
+    </style>
+</head>
+<body>
+    <div class="wrap">
+        <div class="top">
+            <a href="${i18n.localePath(locale)}">${esc(t('pages.content.backHome'))}</a>
+            <span class="subscribe">${esc(t('pages.content.subscribe'))}: <a href="/${collection}/rss.xml">RSS</a> · <a href="/${collection}/atom.xml">Atom</a></span>
+        </div>
+        ${body}
+    </div>
+</body>
+</html>`;
+}
+
+/** Date, tags and draft badge under an entry title */
+function entryMeta(entry, { locale, t }) {
+    const date = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${entry.date}T00:00:00Z`));
+    const tags = entry.tags.map((tag) => (entry.collection === 'blog'
+        ? `<a class="tag" href="/blog?tag=${encodeURIComponent(tag)}">${esc(tag)}</a>`
+        : `<span class="tag">${esc(tag)}</span>`));
+    if (entry.draft) tags.unshift(`<span class="tag draft">${esc(t('pages.content.draft'))}</span>`);
+    return `<p class="meta">${esc(date)}${tags.join('')}</p>`;
+}
+
+// Entry HTML comes from our own markdown in content/ and is trusted
+function changelogPage(entries, page) {
+    const { t } = page;
+    return contentPage(page, {
+        title: t('pages.content.changelogTitle'),
+        description: t('pages.content.changelogDescription'),
+        collection: 'changelog',
+        body: `
+        <h1>${esc(t('pages.content.changelogTitle'))}</h1>
+        <p class="lede">${esc(t('pages.content.changelogDescription'))}</p>
+        ${entries.map((e) => `
+        <article id="v${esc(e.version)}" lang="en">
+            <h2>${esc(e.version)} — ${esc(e.title)}</h2>
+            ${entryMeta(e, page)}
+            <div class="prose">${e.html}</div>
+        </article>`).join('') || `<p class="empty">${esc(t('pages.content.empty'))}</p>`}`,
+    });
+}
+
+function blogIndexPage(posts, tag, page) {
+    const { t } = page;
+    return contentPage(page, {
+        title: t('pages.content.blogTitle'),
+        description: t('pages.content.blogDescription'),
+        collection: 'blog',
+        body: `
+        <h1>${esc(t('pages.content.blogTitle'))}${tag ? ` <span class="tag">${esc(tag)}</span>` : ''}</h1>
+        <p class="lede">${esc(t('pages.content.blogDescription'))}</p>
+        ${posts.map((p) => `
+        <article lang="en">
+            <h2><a href="/blog/${esc(p.slug)}">${esc(p.title)}</a></h2>
+            ${entryMeta(p, page)}
+            <p>${esc(p.summary)}</p>
+            <p><a href="/blog/${esc(p.slug)}">${esc(t('pages.content.readMore'))}</a></p>
+        </article>`).join('') || `<p class="empty">${esc(t('pages.content.empty'))}</p>`}`,
+    });
+}
+
+function blogPostPage(post, page) {
+    const { t } = page;
+    return contentPage(page, {
+        title: post.title,
+        description: post.summary,
+        collection: 'blog',
+        body: `
+        <p><a href="/blog">${esc(t('pages.content.allPosts'))}</a></p>
+        <article lang="en">
+            <h1>${esc(post.title)}</h1>
+            ${entryMeta(post, page)}
+            <div class="prose">${post.html}</div>
+        </article>`,
+    });
+}
+
+function adminPage({ user, csrf, signUps, devices: deviceList, releases: releaseStats, traffic, waitlist: waitlistCounts, feedback: reports, crashes: crashStats, csp: cspReports, audit }, { nonce }) {
+    const when = (iso) => (iso ? new Date(iso).toISOString().replace('T', ' ').slice(0, 16) : '—');
+    const csrfField = `<input type="hidden" name="_csrf" value="${esc(csrf)}" />`;
+    const revokeUserForm = (userId) => `
+                <form action="/admin/users/revoke" method="post">
+                    ${csrfField}
+                    <input type="hidden" name="user_id" value="${esc(userId)}" />
+                    <button type="submit" class="btn-small">Revoke tokens</button>
+                </form>`;
+    const table = (head, rows, empty) => (rows.length
+        ? `<table><thead><tr>${head.map((h) => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+        : `<p class="empty">${empty}</p>`);
+
+    const signUpRows = (signUps.users || []).map((u) => `
+            <tr><td>${esc(u.email)}</td><td>${esc([u.firstName, u.lastName].filter(Boolean).join(' ') || '—')}</td>
+            <td class="mono">${esc(u.id)}</td><td>${when(u.createdAt)}</td><td>${revokeUserForm(u.id)}</td></tr>`);
+    const deviceRows = deviceList.map((d) => `
+            <tr><td>${esc(d.name)}</td><td>${esc(d.platform || '—')}</td><td class="mono">${esc(d.userId)}</td>
+            <td>${when(d.lastSeen)}</td>
+            <td><form action="/admin/devices/${esc(d.id)}/revoke" method="post">${csrfField}<button type="submit" class="btn-small">Revoke</button></form></td></tr>`);
+    const releaseRows = releaseStats.map((r) => `
+            <tr><td>${esc(r.version)}</td><td>${esc(r.channel)}</td><td>${esc(r.date)}</td><td>${r.files}</td><td>${r.downloads}</td></tr>`);
+    const waitlistRows = Object.entries(waitlistCounts).map(([platform, c]) => `
+            <tr><td>${esc(waitlist.PLATFORM_NAMES[platform])}</td><td>${c.confirmed}</td><td>${c.pending}</td><td>${c.unsubscribed}</td></tr>`);
+    const crashReleaseRows = crashStats.releases.map((r) => `
+            <tr><td>${esc(r.version)}${r.regressed ? ' <span class="error">regressed</span>' : ''}</td><td>${r.crashes}</td><td>${r.lastWeek}</td>
+            <td>${r.installs}</td><td>${r.rate === null ? '—' : r.rate.toFixed(1)}</td><td class="mono">${esc(r.topSignature)}</td></tr>`);
+    const crashGroupRows = crashStats.groups.map((g) => `
+            <tr><td class="mono">${esc(g.signature)}</td><td>${esc(g.processType)}</td>
+            <td class="mono">${esc(g.exception ? g.exception.name || g.exception.code : 'none')}<br>${esc(g.location || g.exception?.address || '—')}</td>
+            <td>${g.count}</td><td>${g.installs}</td><td>${esc(g.platforms.join(', '))}</td>
+            <td>${esc(g.versions[0])}${g.versions.length > 1 ? ` – ${esc(g.versions[g.versions.length - 1])}` : ''}</td><td>${when(g.lastSeen)}</td>
+            <td>${g.sample ? `<a href="/admin/crashes/${esc(g.sample)}/dump">Latest dump</a>` : '—'}</td></tr>`);
+    const filterLink = (status, label, tag = null) => {
+        const query = new URLSearchParams({ feedback: status || 'all', ...(tag && { tag }) });
+        return `<a href="/admin?${esc(query)}#feedback">${esc(label)}</a>`;
+    };
+    const feedbackRows = reports.reports.map((r) => `
+            <tr><td>${when(r.createdAt)}<br><span class="mono">${esc(r.kind)} · ${esc(r.source)}</span></td>
+            <td class="message">${esc(r.message)}${r.email ? `<br><a href="mailto:${esc(r.email)}">${esc(r.email)}</a>` : ''}</td>
+            <td class="mono">${esc(r.appVersion || '—')}<br>${esc(r.os || '')}</td>
+            <td>${r.attachment ? `<a href="/admin/feedback/${esc(r.id)}/attachment">${esc(r.attachment.filename)}</a> <span class="mono">${Math.ceil(r.attachment.size / 1024)} KB</span>` : '—'}</td>
+            <td><form action="/admin/feedback/${esc(r.id)}/tags" method="post" class="tags">${csrfField}
+                <input type="text" name="tags" value="${esc(r.tags.join(', '))}" placeholder="tags" /><button type="submit" class="btn-small">Save</button></form>
+                ${r.tags.map((tag) => filterLink(reports.status, tag, tag)).join(' ')}</td>
+            <td><form action="/admin/feedback/${esc(r.id)}/${r.status === 'open' ? 'close' : 'reopen'}" method="post">${csrfField}
+                <button type="submit" class="btn-small">${r.status === 'open' ? 'Close' : 'Reopen'}</button></form></td></tr>`);
+    const cspRows = cspReports.map((r) => `
+            <tr><td class="mono">${esc(r.directive)}${r.disposition === 'report' ? '<br>report-only' : ''}</td>
+            <td class="mono">${esc(r.blocked || '—')}</td><td class="mono">${esc(r.document || '—')}</td>
+            <td class="mono">${r.source ? `${esc(r.source)}${r.line ? `:${r.line}` : ''}` : '—'}</td>
+            <td>${r.count}</td><td>${when(r.firstSeen)}</td><td>${when(r.lastSeen)}</td></tr>`);
+    const auditRows = audit.map((a) => `
+            <tr><td>${when(a.at)}</td><td>${esc(a.actor.email || a.actor.id)}</td><td>${esc(a.action)}</td>
+            <td class="mono">${esc(a.target)}</td><td>${a.detail ? esc(JSON.stringify(a.detail)) : ''}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>Admin — Deskly</title>
+    <style nonce="${nonce}">
+        * { margin:0; padding:0; box-sizing:border-box; }
+        body {
+            font-family: 'Inter', system-ui, -apple-system, sans-serif;
+            background: #020617;
+            color: #E8E6EB;
+            padding: 32px 24px;
+        }
+        .wrap { max-width: 1040px; margin: 0 auto; }
+        header { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 24px; }
+        h1 { font-size: 1.4rem; font-weight: 600; }
+        header span { color: #6b7280; font-size: 0.85rem; }
+        .card {
+            background: #0F1117;
+            border: 1px solid rgba(148,163,184,0.15);
+            border-radius: 16px;
+            padding: 24px;
+            margin-bottom: 20px;
+            overflow-x: auto;
+        }
+        h2 {
+            font-size: 0.8rem; font-weight: 600; color: #6b7280;
+            text-transform: uppercase; letter-spacing: 0.06em;
+            margin-bottom: 12px;
+        }
+        table + h2, .empty + h2 { margin-top: 24px; }
+        .stats { display: flex; gap: 32px; margin-bottom: 20px; }
+        .stat b { display: block; font-size: 1.5rem; font-weight: 700; }
+        .stat span { color: #6b7280; font-size: 0.8rem; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th { text-align: left; color: #6b7280; font-weight: 500; padding: 8px 8px 8px 0; }
+        td { padding: 8px 8px 8px 0; border-top: 1px solid rgba(148,163,184,0.1); vertical-align: middle; }
+        .mono { font-family: ui-monospace, monospace; font-size: 0.75rem; color: #A8A5B0; }
+        .empty, .error { color: #6b7280; font-size: 0.85rem; }
+        .error { color: #EF4444; }
+        .btn-small {
+            padding: 5px 10px; border-radius: 8px; border: 1px solid rgba(148,163,184,0.25);
+            background: transparent; color: #E8E6EB; font-size: 0.78rem; cursor: pointer; white-space: nowrap;
+        }
+        .btn-small:hover { border-color: #EF4444; color: #EF4444; }
+        .revoke-any { display: flex; gap: 8px; margin-top: 16px; }
+        .revoke-any input[type=text] {
+            flex: 1; padding: 6px 10px; border-radius: 8px;
+            border: 1px solid rgba(148,163,184,0.25); background: #020617; color: #E8E6EB;
+        }
+        .filters { color: #6b7280; font-size: 0.85rem; margin-bottom: 12px; }
+        .message { max-width: 360px; white-space: pre-wrap; overflow-wrap: anywhere; }
+        .tags { display: flex; gap: 6px; margin-bottom: 4px; }
+        .tags input {
+            width: 120px; padding: 4px 8px; border-radius: 8px;
+            border: 1px solid rgba(148,163,184,0.25); background: #020617; color: #E8E6EB; font-size: 0.78rem;
+        }
+        td a { font-size: 0.8rem; }
+        a { color: #818CF8; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <div class="wrap">
+        <header>
+            <h1>Deskly admin</h1>
+            <span>${esc(user.email || user.sub)} · <a href="/account">Account</a></span>
+        </header>
+
+        <section class="card">
+            <h2>Last 30 days</h2>
+            <div class="stats">
+                <div class="stat"><b>${traffic.pageViews}</b><span>page views</span></div>
+                <div class="stat"><b>${traffic.uniques}</b><span>daily unique visitors (summed)</span></div>
+                <div class="stat"><b>${traffic.downloads}</b><span>download clicks</span></div>
+            </div>
+            <h2>Releases</h2>
+            ${table(['Version', 'Channel', 'Date', 'Files', 'Downloads (all time)'], releaseRows, 'No releases in content/releases.json.')}
+            <h2>Waitlist</h2>
+            ${table(['Platform', 'Confirmed', 'Awaiting confirmation', 'Unsubscribed'], waitlistRows, 'Nobody on the waitlist yet.')}
+        </section>
+
+        <section class="card">
+            <h2>Recent sign-ups</h2>
+            ${signUps.error ? `<p class="error">${esc(signUps.error)}</p>` : table(['Email', 'Name', 'User ID', 'Created', ''], signUpRows, 'No users yet.')}
+            <form action="/admin/users/revoke" method="post" class="revoke-any">
+                ${csrfField}
+                <input type="text" name="user_id" placeholder="user_…" required />
+                <button type="submit" class="btn-small">Revoke all tokens</button>
+            </form>
+        </section>
+
+        <section class="card">
+            <h2>Active devices</h2>
+            ${table(['Device', 'Platform', 'User ID', 'Last seen', ''], deviceRows, 'No signed-in devices.')}
+        </section>
+
+        <section class="card">
+            <h2>Crashes by release</h2>
+            ${table(['Version', 'Crashes', 'Last 7 days', 'Installs', 'Per 1,000 downloads', 'Top signature'], crashReleaseRows, 'No crash reports.')}
+            <h2>Top crash signatures</h2>
+            ${table(['Signature', 'Process', 'Exception / location', 'Crashes', 'Installs', 'Platforms', 'Versions', 'Last seen', ''], crashGroupRows, 'No crash reports.')}
+        </section>
+
+        <section class="card" id="feedback">
+            <h2>Feedback${reports.tag ? ` tagged “${esc(reports.tag)}”` : ''}</h2>
+            <p class="filters">${filterLink('open', `Open (${reports.counts.open})`)} · ${filterLink('closed', `Closed (${reports.counts.closed})`)} · ${filterLink(null, 'All')}</p>
+            ${table(['Received', 'Message', 'Version / OS', 'Attachment', 'Tags', ''], feedbackRows, 'No reports here.')}
+        </section>
+
+        <section class="card" id="csp">
+            <h2>CSP violations</h2>
+            ${table(['Directive', 'Blocked', 'Page', 'Source', 'Reports', 'First seen', 'Last seen'], cspRows, 'No violations reported.')}
+        </section>
+
+        <section class="card">
+            <h2>Audit log</h2>
+            ${table(['When', 'Admin', 'Action', 'Target', 'Detail'], auditRows, 'No admin actions yet.')}
+        </section>
     </div>
 </body>
 </html>`;
@@ -438,29 +2471,52 @@ function accountPage(user) {
 // ─── 404 handler ───────────────────────────────────────────────────────────────
 
 app.use((req, res) => {
+    res.locals.unmatched = true;
+    const { nonce, locale, t } = pageContext(res);
     res.status(404).send(`
         <!DOCTYPE html>
-        <html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+        <html lang="${locale}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
         <title>404 — Deskly</title>
-        <style>*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Inter',system-ui,sans-serif;background:#020617;color:#e5e7eb;display:flex;align-items:center;justify-content:center;min-height:100vh;text-align:center;padding:24px}h1{font-size:4rem;font-weight:800;letter-spacing:-0.04em;background:linear-gradient(135deg,#818cf8,#6366f1);-webkit-background-clip:text;-webkit-text-fill-color:transparent}p{color:#6b7280;margin:12px 0 24px;font-size:0.95rem}a{color:#818cf8;font-weight:500;font-size:0.9rem}</style>
-        </head><body><div><h1>404</h1><p>This page doesn\u2019t exist. Maybe it moved, or you typoed the URL.</p><a href="/">&larr; Back to Deskly</a></div></body></html>
+        <style nonce="${nonce}">*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Inter',system-ui,sans-serif;background:#020617;color:#e5e7eb;display:flex;align-items:center;justify-content:center;min-height:100vh;text-align:center;padding:24px}h1{font-size:4rem;font-weight:800;letter-spacing:-0.04em;background:linear-gradient(135deg,#818cf8,#6366f1);-webkit-background-clip:text;-webkit-text-fill-color:transparent}p{color:#6b7280;margin:12px 0 24px;font-size:0.95rem}a{color:#818cf8;font-weight:500;font-size:0.9rem}</style>
+        </head><body><div><h1>404</h1><p>${esc(t('pages.notFound.message'))}</p><a href="${i18n.localePath(locale)}">${esc(t('pages.notFound.back'))}</a></div></body></html>
     `);
 });
 
 // ─── Error handler ─────────────────────────────────────────────────────────────
 
+/** API clients (and anything that sent or asked for JSON) get errors as { error } */
+function wantsJson(req) {
+    return req.path.startsWith('/api/') || req.path.startsWith('/webhooks/')
+        || Boolean(req.is('application/json')) || req.accepts(['html', 'json']) === 'json';
+}
+
 app.use((err, req, res, next) => {
-    console.error(err);
+    if (res.headersSent) return next(err);
+    const url = logger.redactUrl(req.originalUrl);
+    // Client errors raised by middleware (body-parser: malformed JSON 400,
+    // too large 413, unsupported charset 415) keep their status
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+        logger.warn('Client error', { status, type: err.type, message: err.message, method: req.method, url });
+        const message = err.expose ? err.message : 'Bad request';
+        return wantsJson(req) ? res.status(status).json({ error: message }) : res.status(status).type('text').send(message);
+    }
+
+    logger.error('Unhandled error', { err, method: req.method, url });
+    if (wantsJson(req)) {
+        return res.status(500).json({ error: isProduction ? 'Internal server error' : err.message || 'Unknown error' });
+    }
+    const { locale, t } = pageContext(res);
     // Never leak internal error details to the client
     const safeMessage = isProduction
-        ? 'An unexpected error occurred. Please try again later.'
+        ? esc(t('pages.error.message'))
         : esc(err.message || 'Unknown error');
     res.status(500).send(`
         <div style="font-family:system-ui;background:#020617;color:#e5e7eb;display:flex;align-items:center;justify-content:center;min-height:100vh;">
             <div style="text-align:center;">
-                <h1 style="color:#EF4444;">Something went wrong</h1>
+                <h1 style="color:#EF4444;">${esc(t('pages.error.title'))}</h1>
                 <p style="color:#6b7280;margin-top:8px;">${safeMessage}</p>
-                <a href="/" style="color:#818CF8;margin-top:16px;display:inline-block;">Go Home</a>
+                <a href="${i18n.localePath(locale)}" style="color:#818CF8;margin-top:16px;display:inline-block;">${esc(t('pages.error.home'))}</a>
             </div>
         </div>
     `);
@@ -468,12 +2524,12 @@ app.use((err, req, res, next) => {
 
 // ─── Start ─────────────────────────────────────────────────────────────────────
 
-// Export for Vercel serverless deployment
+// Export for the tests
 module.exports = app;
 
-// Start locally if run directly (not imported by Vercel)
+// Start if run directly (not when required by the tests)
 if (require.main === module) {
     app.listen(port, () => {
-        console.log(`Deskly website running at ${baseUrl} (port ${port})`);
+        logger.info('Deskly website running', { baseUrl, port: Number(port) });
     });
 }
@@ -0,0 +1,60 @@
+/**
+ * The /admin console: CSP violation reports are listed there, and admin
+ * actions have their own rate limit instead of spending the sign-in one.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer, signIn } = require('./helpers');
+
+const app = startServer({ ADMIN_USER_IDS: 'user_admin' });
+
+test('reported violations are listed on /admin', async () => {
+    const report = await app.fetch('/csp-report', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/csp-report' },
+        body: JSON.stringify({
+            'csp-report': {
+                'effective-directive': 'script-src-elem',
+                'blocked-uri': 'https://evil.example/x.js?token=secret',
+                'document-uri': 'https://deskly.test/pricing',
+            },
+        }),
+    });
+    assert.equal(report.status, 204);
+
+    const { cookie } = signIn({ id: 'user_admin' });
+    const res = await app.fetch('/admin', { headers: { Cookie: cookie } });
+    assert.equal(res.status, 200);
+    const html = await res.text();
+    assert.match(html, /CSP violations/);
+    assert.match(html, /script-src-elem/);
+    assert.match(html, /https:\/\/evil\.example\/x\.js/);
+    assert.doesNotMatch(html, /token=secret/);
+});
+
+/** Submit an admin form as `user_admin`, with its CSRF token */
+function adminPost(route, fields) {
+    const session = signIn({ id: 'user_admin' });
+    const csrf = require('../lib/admin').csrfToken(require('jsonwebtoken').decode(session.accessToken));
+    return app.fetch(route, {
+        method: 'POST',
+        headers: { Cookie: session.cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ _csrf: csrf, ...fields }),
+        redirect: 'manual',
+    });
+}
+
+test('admin actions do not use up the sign-in rate limit', async () => {
+    for (let i = 0; i < 25; i++) {
+        assert.equal((await adminPost('/admin/users/revoke', { user_id: `user_${i}` })).status, 302);
+    }
+    assert.notEqual((await app.fetch('/auth/login?source=web', { redirect: 'manual' })).status, 429);
+});
+
+test('feedback triage does not use up the sign-in rate limit either', async () => {
+    for (let i = 0; i < 25; i++) {
+        assert.equal((await adminPost('/admin/feedback/unknown/close', {})).status, 302);
+    }
+    assert.notEqual((await app.fetch('/auth/login?source=web', { redirect: 'manual' })).status, 429);
+});
@@ -0,0 +1,44 @@
+/**
+ * Page views are buffered off the request path, and nothing a client sends
+ * (Referer, User-Agent) can grow the stored aggregates without bound.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { useDataDir } = require('./helpers');
+
+const dataDir = useDataDir();
+const analytics = require('../lib/analytics');
+
+function request({ referer, ua = 'Mozilla/5.0', ip = '203.0.113.7' } = {}) {
+    const headers = { 'user-agent': ua, referer };
+    return { ip, get: (name) => headers[name.toLowerCase()] };
+}
+
+test('page views are not written on the request path', () => {
+    analytics.recordPageView(request(), '/', 'deskly.in');
+    assert.equal(fs.existsSync(path.join(dataDir, 'analytics.json')), false);
+    assert.equal(analytics.query().totals.pageViews, 1);
+    assert.equal(fs.existsSync(path.join(dataDir, 'analytics.json')), true);
+});
+
+test('referrer domains are capped per day, the rest counted as other', () => {
+    for (let i = 0; i < 250; i++) {
+        analytics.recordPageView(request({ referer: `https://spam-${i}.example/` }), '/', 'deskly.in');
+    }
+    const { referrers } = analytics.query().totals;
+    assert.ok(Object.keys(referrers).length <= 101);
+    assert.ok(referrers.other >= 150);
+    assert.equal(Object.values(referrers).reduce((a, b) => a + b, 0), 250);
+});
+
+test('a returning visitor is counted once a day', () => {
+    const before = analytics.query().totals.uniques;
+    analytics.recordPageView(request({ ua: 'Returning/1.0' }), '/', 'deskly.in');
+    analytics.recordPageView(request({ ua: 'Returning/1.0' }), '/', 'deskly.in');
+    assert.equal(analytics.query().totals.uniques, before + 1);
+    analytics.recordPageView(request({ ua: 'Returning/1.0' }), '/', 'deskly.in');
+    assert.equal(analytics.query().totals.uniques, before + 1);
+});
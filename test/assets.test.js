@@ -0,0 +1,39 @@
+/**
+ * /assets/* picks the precompressed copy by Accept-Encoding weight: the
+ * highest q wins, q=0 refuses an encoding, and ties go to brotli.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+const app = startServer();
+const assets = require('../lib/assets');
+
+const encodingFor = async (acceptEncoding) => {
+    const res = await app.fetch(assets.url('landing.css'), { headers: { 'Accept-Encoding': acceptEncoding } });
+    assert.equal(res.status, 200);
+    await res.arrayBuffer();
+    return res.headers.get('content-encoding');
+};
+
+test('the highest q-value wins', async () => {
+    assert.equal(await encodingFor('br;q=0.1, gzip;q=1'), 'gzip');
+    assert.equal(await encodingFor('gzip;q=0.5, br;q=0.8'), 'br');
+});
+
+test('ties go to brotli', async () => {
+    assert.equal(await encodingFor('gzip, deflate, br'), 'br');
+    assert.equal(await encodingFor('*'), 'br');
+});
+
+test('q=0 refuses an encoding', async () => {
+    assert.equal(await encodingFor('br;q=0, gzip'), 'gzip');
+    assert.equal(await encodingFor('*, br;q=0'), 'gzip');
+    assert.equal(await encodingFor('br;q=0, gzip;q=0'), null);
+    assert.equal(await encodingFor('identity'), null);
+});
+
+test('identity weighed higher than both is sent uncompressed', async () => {
+    assert.equal(await encodingFor('gzip;q=0.2, identity'), null);
+});
@@ -0,0 +1,35 @@
+/**
+ * Malformed or oversized request bodies are the client's fault: JSON
+ * endpoints answer with their status and a JSON { error }, not the HTML 500.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+const app = startServer();
+
+const postJson = (route, body) => app.fetch(route, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+test('malformed JSON is a 400 with a JSON error', async () => {
+    const res = await postJson('/api/token', '{bad');
+    assert.equal(res.status, 400);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    assert.equal(typeof (await res.json()).error, 'string');
+});
+
+test('an oversized body is a 413 with a JSON error', async () => {
+    const res = await postJson('/api/token', JSON.stringify({ code: 'x'.repeat(20 * 1024) }));
+    assert.equal(res.status, 413);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+});
+
+test('form posts from browsers still get text', async () => {
+    const res = await app.fetch('/waitlist/unsubscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'text/html' },
+        body: `a=${'x'.repeat(20 * 1024)}`,
+    });
+    assert.equal(res.status, 413);
+    assert.match(res.headers.get('content-type'), /text\/plain/);
+});
@@ -0,0 +1,37 @@
+/**
+ * The desktop app revalidates /api/catalog with If-None-Match and only
+ * downloads it again when the catalog changed.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+const app = startServer();
+
+test('/api/catalog answers 304 to its own ETag', async () => {
+    const first = await app.fetch('/api/catalog');
+    assert.equal(first.status, 200);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.ok(Array.isArray((await first.json()).browsers));
+
+    for (const ifNoneMatch of [etag, `W/${etag}`, `"stale", ${etag}`]) {
+        const res = await app.fetch('/api/catalog', { headers: { 'If-None-Match': ifNoneMatch } });
+        assert.equal(res.status, 304, ifNoneMatch);
+        assert.equal(res.headers.get('etag'), etag);
+        assert.equal(await res.text(), '');
+    }
+});
+
+test('/api/catalog ignores no-cache when the ETag matches', async () => {
+    const { headers } = await app.fetch('/api/catalog');
+    const res = await app.fetch('/api/catalog', { headers: { 'If-None-Match': headers.get('etag'), 'Cache-Control': 'no-cache' } });
+    assert.equal(res.status, 304);
+});
+
+test('/api/catalog sends the body for another ETag', async () => {
+    const res = await app.fetch('/api/catalog', { headers: { 'If-None-Match': '"stale"' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+});
@@ -0,0 +1,71 @@
+/**
+ * Desktop sign-in: the callback hands the app a single-use code bound to its
+ * PKCE challenge, which it redeems once at /api/token with the verifier.
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+const app = startServer({ AUTH_PROVIDER: 'mock' });
+
+/** A mock provider redirect to /auth/callback, with the nonce cookie the login step would set */
+function callback(statePayload) {
+    const state = JSON.stringify({ n: 'nonce', ...statePayload });
+    const redirect = new URL(require('../lib/identity').approve('user_mock_alice', { redirectUri: `${app.base}/auth/callback`, state }));
+    return app.fetch(redirect.pathname + redirect.search, { headers: { Cookie: 'oauth_nonce=nonce' }, redirect: 'manual' });
+}
+
+test('a desktop callback without a code_challenge is refused and not counted as a success', async () => {
+    const res = await callback({ source: 'desktop' });
+    assert.equal(res.status, 400);
+    const metrics = await (await app.fetch('/metrics')).text();
+    assert.doesNotMatch(metrics, /flow="callback",outcome="success"/);
+});
+
+/** Run a desktop callback with a fresh PKCE pair; resolves to { code, verifier } */
+async function desktopCode() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    const res = await callback({ source: 'desktop', code_challenge: challenge });
+    assert.equal(res.status, 200);
+    const [, code] = (await res.text()).match(/deskly:\/\/auth\/callback\?code=([\w%-]+)/);
+    return { code: decodeURIComponent(code), verifier };
+}
+
+const redeem = (code, verifier) => app.fetch('/api/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code, code_verifier: verifier }),
+});
+
+test('/api/token issues tokens for the matching code_verifier', async () => {
+    const { code, verifier } = await desktopCode();
+    const res = await redeem(code, verifier);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.token_type, 'Bearer');
+    assert.match(body.refresh_token, /^rt_/);
+    const me = await app.fetch('/api/me', { headers: { Authorization: `Bearer ${body.access_token}` } });
+    assert.equal(me.status, 200);
+});
+
+test('/api/token refuses a verifier that does not match the challenge', async () => {
+    const { code } = await desktopCode();
+    const res = await redeem(code, crypto.randomBytes(32).toString('base64url'));
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /does not match/);
+});
+
+test('replaying a redeemed code is refused and revokes the first redemption', async () => {
+    const { code, verifier } = await desktopCode();
+    const first = await (await redeem(code, verifier)).json();
+
+    const replay = await redeem(code, verifier);
+    assert.equal(replay.status, 400);
+    assert.match((await replay.json()).error, /already been used/);
+
+    const me = await app.fetch('/api/me', { headers: { Authorization: `Bearer ${first.access_token}` } });
+    assert.equal(me.status, 401);
+});
@@ -0,0 +1,34 @@
+/**
+ * The file counter backend counts in memory and writes rate_limits.json in
+ * batches, not once per counted request; the counts survive a restart.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { useDataDir } = require('./helpers');
+
+const dataDir = useDataDir();
+const file = path.join(dataDir, 'rate_limits.json');
+const backend = require('../lib/limits/file-backend');
+
+test('counting does not write the file on the request path', async () => {
+    for (let i = 0; i < 3; i++) await backend.increment('rl:api:ip:1', 60000);
+    assert.equal(fs.existsSync(file), false);
+    assert.equal((await backend.get('rl:api:ip:1')).count, 3);
+});
+
+test('flushed counters are there again after a restart', async () => {
+    await backend.increment('fail:acct:user_1', 60000);
+    await backend.increment('expired', 1);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    backend.flush();
+
+    delete require.cache[require.resolve('../lib/limits/file-backend')];
+    const restarted = require('../lib/limits/file-backend');
+    assert.equal((await restarted.get('rl:api:ip:1')).count, 3);
+    assert.equal((await restarted.get('fail:acct:user_1')).count, 1);
+    assert.equal(await restarted.get('expired'), null);
+    assert.equal('expired' in JSON.parse(fs.readFileSync(file, 'utf8')).entries, false);
+});
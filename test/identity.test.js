@@ -0,0 +1,26 @@
+/**
+ * With no identity provider configured the site says so; the mock provider
+ * (anyone signs in as anyone) is never picked unless AUTH_PROVIDER=mock.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+delete process.env.AUTH_PROVIDER;
+delete process.env.WORKOS_API_KEY;
+delete process.env.WORKOS_CLIENT_ID;
+const app = startServer({ NODE_ENV: 'development' });
+
+test('nothing configured falls back to WorkOS, not the mock provider', () => {
+    const identity = require('../lib/identity');
+    assert.equal(identity.name, 'workos');
+    assert.equal(identity.configured(), false);
+});
+
+test('sign-in answers "not configured" instead of signing anyone in', async () => {
+    const res = await app.fetch('/auth/login?source=web', { redirect: 'manual' });
+    assert.equal(res.status, 503);
+    assert.match(await res.text(), /not configured/);
+    assert.equal((await app.fetch('/auth/mock/authorize')).status, 404);
+});
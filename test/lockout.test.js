@@ -0,0 +1,61 @@
+/**
+ * Auth failures lock out the account and device they were aimed at, not just
+ * the IP they came from, and a successful sign-in clears that count.
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+const app = startServer();
+
+const tokens = require('../lib/tokens');
+
+// Every request from a new address, so only the account / device keys add up
+let address = 0;
+const redeem = (code, verifier) => app.fetch('/api/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': `10.0.0.${++address}` },
+    body: JSON.stringify({ code, code_verifier: verifier }),
+});
+
+function newCode(userId, deviceId) {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    const code = tokens.createAuthCode({ id: userId, email: `${userId}@example.test` }, challenge, { deviceId, name: 'Test', platform: 'linux' });
+    return { code, verifier };
+}
+
+const wrongVerifier = 'x'.repeat(43);
+
+test('failures from many addresses lock the account they target', async () => {
+    const { code, verifier } = newCode('user-locked', 'device-locked');
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await redeem(code, wrongVerifier)).status, 400);
+    }
+    const res = await redeem(code, verifier);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+});
+
+test('a successful redemption clears the account and device failures', async () => {
+    const first = newCode('user-cleared', 'device-cleared');
+    for (let i = 0; i < 4; i++) await redeem(first.code, wrongVerifier);
+    assert.equal((await redeem(first.code, first.verifier)).status, 200);
+
+    const second = newCode('user-cleared', 'device-cleared');
+    for (let i = 0; i < 4; i++) await redeem(second.code, wrongVerifier);
+    assert.equal((await redeem(second.code, second.verifier)).status, 200);
+});
+
+test('a device_id in the query never locks that device out', async () => {
+    const { code, verifier } = newCode('user-victim', 'device-victim');
+    for (let i = 0; i < 6; i++) {
+        await app.fetch('/auth/callback?code=x&state=%7B%22n%22%3A%22forged%22%7D&device_id=device-victim', {
+            headers: { 'X-Forwarded-For': `10.0.1.${++address}` },
+            redirect: 'manual',
+        });
+    }
+    assert.equal((await redeem(code, verifier)).status, 200);
+});
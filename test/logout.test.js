@@ -0,0 +1,27 @@
+/**
+ * Signing out revokes the session only on POST; GET /auth/logout just asks
+ * for confirmation, so a link or <img> elsewhere can't sign anyone out.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer, signIn } = require('./helpers');
+
+const app = startServer();
+
+const me = (accessToken) => app.fetch('/api/me', { headers: { Authorization: `Bearer ${accessToken}` } });
+
+test('GET /auth/logout asks for confirmation and revokes nothing', async () => {
+    const { accessToken, cookie } = signIn({ id: 'user_logout' });
+    const res = await app.fetch('/auth/logout', { headers: { Cookie: cookie }, redirect: 'manual' });
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /<form action="\/auth\/logout" method="post">/);
+    assert.equal((await me(accessToken)).status, 200);
+});
+
+test('POST /auth/logout revokes the session', async () => {
+    const { accessToken, cookie } = signIn({ id: 'user_logout' });
+    const res = await app.fetch('/auth/logout', { method: 'POST', headers: { Cookie: cookie }, redirect: 'manual' });
+    assert.equal(res.status, 302);
+    assert.equal((await me(accessToken)).status, 401);
+});
@@ -0,0 +1,73 @@
+/**
+ * A recipient the mail server refuses fails that one message; after RSET the
+ * same session carries on with the next, so a broadcast isn't cut short.
+ */
+
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { test, before, after } = require('node:test');
+
+process.env.LOG_LEVEL = 'error';
+
+// Just enough SMTP: refuses RCPT for anyone @bounce.test, records what it accepts
+const delivered = [];
+const fakeSmtp = net.createServer((socket) => {
+    let data = null;
+    let rcpt = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 fake ESMTP');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) > -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            if (data !== null) {
+                if (line === '.') {
+                    delivered.push(rcpt);
+                    data = null;
+                    reply('250 queued');
+                } else {
+                    data += `${line}\n`;
+                }
+                continue;
+            }
+            const [verb] = line.split(/[ :]/);
+            if (verb === 'EHLO') reply('250 fake');
+            else if (verb === 'MAIL') reply('250 ok');
+            else if (verb === 'RCPT' && line.includes('@bounce.test')) reply('550 no such user');
+            else if (verb === 'RCPT') { rcpt = /<(.+)>/.exec(line)[1]; reply('250 ok'); }
+            else if (verb === 'DATA') { data = ''; reply('354 go ahead'); }
+            else if (verb === 'RSET') { rcpt = null; reply('250 reset'); }
+            else if (verb === 'QUIT') { reply('221 bye'); socket.end(); }
+            else reply('502 not implemented');
+        }
+    });
+});
+
+before(() => new Promise((resolve) => {
+    fakeSmtp.listen(0, '127.0.0.1', () => {
+        process.env.SMTP_URL = `smtp://127.0.0.1:${fakeSmtp.address().port}`;
+        process.env.MAIL_FROM = 'Deskly <hello@deskly.test>';
+        resolve();
+    });
+}));
+after(() => fakeSmtp.close());
+
+test('a refused recipient fails alone and RSET keeps the session usable', async () => {
+    const mailer = require('../lib/mailer');
+    const session = await mailer.openSession();
+    try {
+        await session.send({ to: 'first@example.test', subject: 'Hi', text: 'One' });
+        await assert.rejects(
+            session.send({ to: 'gone@bounce.test', subject: 'Hi', text: 'Two' }),
+            /SMTP RCPT failed: 550/
+        );
+        await session.reset();
+        await session.send({ to: 'third@example.test', subject: 'Hi', text: 'Three' });
+    } finally {
+        await session.close();
+    }
+    assert.deepEqual(delivered, ['first@example.test', 'third@example.test']);
+});
@@ -0,0 +1,38 @@
+/**
+ * Paths `new URL()` refuses (`//[`, bad %-escapes) must still get an answer
+ * and must not take the process down while the request is logged.
+ */
+
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+const app = startServer();
+const { redactUrl } = require('../lib/logger');
+
+/** Send a request line as-is — http.request would normalise the path */
+function rawGet(target) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(app.port, '127.0.0.1', () => {
+            socket.write(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+        });
+        let response = '';
+        socket.on('data', (chunk) => { response += chunk; });
+        socket.on('end', () => resolve(Number(response.split(' ')[1])));
+        socket.on('error', reject);
+    });
+}
+
+test('redactUrl never throws and still masks secrets', () => {
+    assert.equal(redactUrl('//['), '//[');
+    assert.equal(redactUrl('/%zz?token=abc&page=2'), '/%zz?token=[redacted]&page=2');
+    assert.equal(redactUrl('//[?code=x'), '//[?code=[redacted]');
+    assert.equal(redactUrl('/auth/callback?code=x&state=y#top'), '/auth/callback?code=[redacted]&state=[redacted]');
+});
+
+test('a malformed path gets a 404 and the server keeps answering', async () => {
+    assert.equal(await rawGet('//['), 404);
+    assert.equal(await rawGet('//[?token=x'), 404);
+    assert.equal(await rawGet('/healthz'), 200);
+});
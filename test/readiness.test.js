@@ -0,0 +1,49 @@
+/**
+ * DATA_DIR state only works on a single persistent host: on a serverless
+ * platform /readyz refuses, and /healthz says why — to metrics-token
+ * holders and admins; anyone else only gets the status.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer, signIn } = require('./helpers');
+
+const app = startServer({ VERCEL: '1', METRICS_TOKEN: 'metrics-secret', ADMIN_USER_IDS: 'user-admin' });
+const bearer = { headers: { authorization: 'Bearer metrics-secret' } };
+
+test('/readyz fails on a serverless platform', async () => {
+    const res = await app.fetch('/readyz', bearer);
+    assert.equal(res.status, 503);
+    const { ready, checks } = await res.json();
+    assert.equal(ready, false);
+    assert.equal(checks.find((c) => c.name === 'storage').status, 'fail');
+});
+
+test('/healthz still answers and reports the storage problem', async () => {
+    const res = await app.fetch('/healthz', bearer);
+    assert.equal(res.status, 200);
+    const { checks } = await res.json();
+    assert.match(checks.find((c) => c.name === 'storage').message, /Vercel/);
+});
+
+test('anonymous callers only get the status', async () => {
+    for (const init of [{}, { headers: { authorization: 'Bearer wrong' } }]) {
+        const ready = await app.fetch('/readyz', init);
+        assert.equal(ready.status, 503);
+        assert.deepEqual(await ready.json(), { ready: false, status: 'fail' });
+
+        const live = await app.fetch('/healthz', init);
+        assert.equal(live.status, 200);
+        assert.deepEqual(Object.keys(await live.json()), ['status']);
+    }
+});
+
+test('admins see the checks', async () => {
+    const headers = { cookie: signIn({ id: 'user-admin' }).cookie };
+    const { checks } = await (await app.fetch('/readyz', { headers })).json();
+    assert.ok(checks.some((c) => c.name === 'storage'));
+
+    const user = { cookie: signIn({ id: 'user-plain' }).cookie };
+    const res = await app.fetch('/readyz', { headers: user });
+    assert.equal((await res.json()).checks, undefined);
+});
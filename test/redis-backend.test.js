@@ -0,0 +1,27 @@
+/**
+ * An unreachable Redis (or one refusing the password) must fail the command
+ * that was asked for — and nothing else, in particular not the process.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+process.env.REDIS_URL = 'redis://:secret@127.0.0.1:1/2';
+process.env.LOG_LEVEL = 'error';
+
+const backend = require('../lib/limits/redis-backend');
+
+test('commands reject when Redis is unreachable, without unhandled rejections', async () => {
+    const unhandled = [];
+    const onUnhandled = (err) => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        await assert.rejects(backend.get('health'));
+        await assert.rejects(backend.increment('rl:test', 1000));
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        assert.deepEqual(unhandled, []);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+        backend.close();
+    }
+});
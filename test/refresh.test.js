@@ -0,0 +1,50 @@
+/**
+ * Every refresh rotates the refresh token; presenting one that was already
+ * rotated means a copy leaked, so the whole session is revoked.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer, signIn } = require('./helpers');
+
+const app = startServer();
+
+const refresh = (refreshToken) => app.fetch('/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: refreshToken }),
+});
+const me = (accessToken) => app.fetch('/api/me', { headers: { Authorization: `Bearer ${accessToken}` } });
+
+test('a refresh returns a new pair and retires the old refresh token', async () => {
+    const { refreshToken } = signIn({ id: 'user_rotate' });
+    const res = await refresh(refreshToken);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.token_type, 'Bearer');
+    assert.notEqual(body.refresh_token, refreshToken);
+    assert.equal((await me(body.access_token)).status, 200);
+
+    const next = await refresh(body.refresh_token);
+    assert.equal(next.status, 200);
+});
+
+test('reusing a rotated refresh token revokes the whole family', async () => {
+    const { accessToken, refreshToken } = signIn({ id: 'user_reuse' });
+    const rotated = await (await refresh(refreshToken)).json();
+
+    const reuse = await refresh(refreshToken);
+    assert.equal(reuse.status, 401);
+    assert.match((await reuse.json()).error, /reuse/);
+
+    // The legitimate holder's newer tokens die with it
+    assert.equal((await refresh(rotated.refresh_token)).status, 401);
+    assert.equal((await me(rotated.access_token)).status, 401);
+    assert.equal((await me(accessToken)).status, 401);
+});
+
+test('another session of the same user survives the reuse', async () => {
+    const other = signIn({ id: 'user_reuse' });
+    assert.equal((await me(other.accessToken)).status, 200);
+    assert.equal((await refresh(other.refreshToken)).status, 200);
+});
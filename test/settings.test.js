@@ -0,0 +1,45 @@
+/**
+ * Settings sync is optimistic: PUT must name the version it edited in
+ * If-Match, and loses to any write that landed in between.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer, signIn } = require('./helpers');
+
+const app = startServer();
+
+const { accessToken } = signIn({ id: 'user_settings' });
+const auth = { Authorization: `Bearer ${accessToken}` };
+
+const put = (settings, ifMatch) => app.fetch('/api/me/settings', {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', ...(ifMatch && { 'If-Match': ifMatch }) },
+    body: JSON.stringify(settings),
+});
+
+test('a PUT without If-Match is refused with 428', async () => {
+    const res = await put({ ignoredApps: ['Finder'] });
+    assert.equal(res.status, 428);
+    assert.match((await res.json()).error, /If-Match is required/);
+});
+
+test('a PUT with a stale ETag gets 412 and the current document', async () => {
+    const first = await app.fetch('/api/me/settings', { headers: auth });
+    const etag = first.headers.get('etag');
+
+    // Another device writes first
+    const other = await put({ ignoredApps: ['Finder'] }, etag);
+    assert.equal(other.status, 200);
+    assert.notEqual(other.headers.get('etag'), etag);
+
+    const stale = await put({ ignoredApps: ['Terminal'] }, etag);
+    assert.equal(stale.status, 412);
+    assert.equal(stale.headers.get('etag'), other.headers.get('etag'));
+    const { current } = await stale.json();
+    assert.deepEqual(current.settings.ignoredApps, ['Finder']);
+
+    // Retrying on top of the current version goes through
+    const retry = await put({ ignoredApps: ['Finder', 'Terminal'] }, stale.headers.get('etag'));
+    assert.equal(retry.status, 200);
+});
@@ -0,0 +1,61 @@
+/**
+ * Enterprise SSO: with domains in content/sso-domains.json, /auth/login asks
+ * for an email first and sends mapped domains to their company's sign-in.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test, mock } = require('node:test');
+const { startServer } = require('./helpers');
+
+// Load lib/sso with a mapping instead of the repo's (empty) file, before the
+// server requires it
+const CONFIG = path.join(__dirname, '..', 'content', 'sso-domains.json');
+const readFileSync = fs.readFileSync;
+mock.method(fs, 'readFileSync', (file, ...rest) => (file === CONFIG
+    ? JSON.stringify({ domains: {
+        'Acme.test': { name: 'Acme', organization: 'org_acme' },
+        'globex.test': { name: 'Globex', connection: 'conn_globex' },
+    } })
+    : readFileSync(file, ...rest)));
+const sso = require('../lib/sso');
+mock.restoreAll();
+
+const app = startServer({ AUTH_PROVIDER: 'mock' });
+
+const login = (query) => app.fetch(`/auth/login?${new URLSearchParams({ source: 'web', ...query })}`, { redirect: 'manual' });
+
+test('sign-in starts with the email step', async () => {
+    const res = await login({});
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /<input id="email" name="email" type="email"/);
+});
+
+test('a mapped domain goes to its organization, whatever the case', async () => {
+    const res = await login({ email: 'jane@ACME.test' });
+    assert.equal(res.status, 302);
+    const location = new URL(res.headers.get('location'), app.base);
+    assert.equal(location.pathname, '/auth/mock/authorize');
+    assert.equal(location.searchParams.get('organization_id'), 'org_acme');
+});
+
+test('an unmapped domain gets the ordinary sign-in', async () => {
+    const res = await login({ email: 'sam@example.test' });
+    assert.equal(res.status, 302);
+    assert.equal(new URL(res.headers.get('location'), app.base).searchParams.get('organization_id'), null);
+});
+
+test('a malformed email shows the step again with an error', async () => {
+    const res = await login({ email: 'not-an-email' });
+    assert.equal(res.status, 400);
+    assert.match(await res.text(), /class="error"/);
+});
+
+test('connection mappings route to the connection, with the email as login hint', () => {
+    assert.deepEqual(sso.resolve({ email: ' kim@globex.test ' }), {
+        route: { loginHint: 'kim@globex.test', organizationId: undefined, connectionId: 'conn_globex' },
+    });
+    assert.deepEqual(sso.resolve({ connection: 'conn_direct' }), { route: { connectionId: 'conn_direct' } });
+    assert.ok(sso.resolve({ organization_id: 'org/../x' }).error);
+});
@@ -0,0 +1,70 @@
+/**
+ * Completing an upload: only one call assembles it at a time, and a snapshot
+ * deleted meanwhile ends in a 404 and leaves no files behind, whichever step
+ * the deletion lands in.
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test, mock } = require('node:test');
+const { useDataDir } = require('./helpers');
+
+const dataDir = useDataDir();
+const vault = require('../lib/vault');
+
+const userId = 'user_vault';
+const body = Buffer.from('encrypted snapshot bytes');
+
+async function uploaded() {
+    const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+    const { snapshot } = vault.createUpload(userId, { size: body.length, sha256 });
+    assert.ok((await vault.putChunk(userId, snapshot.id, 0, body)).snapshot);
+    return snapshot.id;
+}
+
+const leftovers = () => fs.readdirSync(path.join(dataDir, 'vault'), { recursive: true })
+    .filter((name) => !fs.statSync(path.join(dataDir, 'vault', name)).isDirectory());
+
+test('deleted while the chunks are being assembled', async () => {
+    const id = await uploaded();
+    const completing = vault.complete(userId, id);
+    vault.remove(userId, id);
+    assert.deepEqual(await completing, { error: 'Snapshot not found', status: 404 });
+    assert.deepEqual(leftovers(), []);
+});
+
+test('deleted after assembly, before it is marked complete', async (t) => {
+    const id = await uploaded();
+    const rm = fs.promises.rm;
+    t.after(() => mock.restoreAll());
+    mock.method(fs.promises, 'rm', async (...args) => {
+        vault.remove(userId, id);
+        return rm.apply(fs.promises, args);
+    });
+    assert.deepEqual(await vault.complete(userId, id), { error: 'Snapshot not found', status: 404 });
+    assert.deepEqual(leftovers(), []);
+});
+
+test('a second complete while one is assembling gets a 409', async () => {
+    const id = await uploaded();
+    const first = vault.complete(userId, id);
+    assert.deepEqual(await vault.complete(userId, id), { error: 'Snapshot is already being assembled', status: 409 });
+    assert.equal((await vault.putChunk(userId, id, 0, body)).status, 409);
+
+    assert.equal((await first).snapshot.status, 'complete');
+    // Once done, completing again just returns it
+    assert.equal((await vault.complete(userId, id)).snapshot.status, 'complete');
+});
+
+test('a hash mismatch reopens the upload', async () => {
+    const { snapshot } = vault.createUpload(userId, { size: body.length, sha256: 'a'.repeat(64) });
+    await vault.putChunk(userId, snapshot.id, 0, body);
+    assert.equal((await vault.complete(userId, snapshot.id)).status, 422);
+
+    const [reopened] = vault.list(userId).filter((s) => s.id === snapshot.id);
+    assert.equal(reopened.status, 'uploading');
+    assert.equal(reopened.receivedChunks, 0);
+    assert.ok((await vault.putChunk(userId, snapshot.id, 0, body)).snapshot);
+});
@@ -0,0 +1,40 @@
+/**
+ * Waitlist double opt-in: only a person confirms (a POST, not the link being
+ * fetched), and a confirmation mail that couldn't be sent doesn't block the
+ * retry.
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer } = require('./helpers');
+
+// Nothing listens on port 1, so every send fails
+const app = startServer({ SMTP_URL: 'smtp://127.0.0.1:1', MAIL_FROM: 'Deskly <hello@deskly.test>' });
+
+const join = (email) => app.fetch('/api/waitlist', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, platform: 'linux' }),
+});
+
+test('a failed confirmation mail is sent again on the next try', async () => {
+    assert.equal((await join('retry@example.test')).status, 500);
+    const { confirmToken } = require('../lib/waitlist').join({ email: 'retry@example.test', platform: 'linux' });
+    assert.equal(typeof confirmToken, 'string');
+});
+
+test('opening the confirmation link asks; only the POST confirms', async () => {
+    const waitlist = require('../lib/waitlist');
+    const { entry, confirmToken } = waitlist.join({ email: 'scanned@example.test', platform: 'darwin' });
+    const link = `/waitlist/confirm?token=${confirmToken}`;
+
+    const page = await app.fetch(link);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /method="post"/);
+    assert.equal(waitlist.counts().darwin.confirmed, 0);
+
+    assert.equal((await app.fetch(link, { method: 'POST' })).status, 200);
+    assert.equal(waitlist.counts().darwin.confirmed, 1);
+    assert.equal(waitlist.pendingAnnouncement('darwin', '1.0.0')[0].id, entry.id);
+    assert.equal((await app.fetch(link)).status, 404);
+});
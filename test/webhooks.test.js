@@ -0,0 +1,69 @@
+/**
+ * WorkOS webhooks: only deliveries signed with WORKOS_WEBHOOK_SECRET within
+ * the timestamp tolerance are applied, and each event ID only once.
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { test } = require('node:test');
+const { startServer, signIn } = require('./helpers');
+
+const SECRET = 'whsec_test';
+const app = startServer({ WORKOS_WEBHOOK_SECRET: SECRET });
+
+/** POST an event, signed with `secret` at `timestamp` unless a header is given */
+function deliver(event, { timestamp = Date.now(), secret = SECRET, signature } = {}) {
+    const body = JSON.stringify(event);
+    const v1 = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return app.fetch('/webhooks/workos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'WorkOS-Signature': signature ?? `t=${timestamp}, v1=${v1}` },
+        body,
+    });
+}
+
+const userDeleted = (id, userId) => ({ id, event: 'user.deleted', data: { id: userId } });
+const me = (accessToken) => app.fetch('/api/me', { headers: { Authorization: `Bearer ${accessToken}` } });
+
+test('a correctly signed delivery is applied', async () => {
+    const { accessToken } = signIn({ id: 'user_wh_deleted' });
+    const res = await deliver(userDeleted('event_deleted', 'user_wh_deleted'));
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { received: true });
+    assert.equal((await me(accessToken)).status, 401);
+});
+
+test('unsigned and mis-signed deliveries are refused', async () => {
+    const { accessToken } = signIn({ id: 'user_wh_forged' });
+    const event = userDeleted('event_forged', 'user_wh_forged');
+
+    assert.equal((await deliver(event, { signature: '' })).status, 401);
+    const forged = await deliver(event, { secret: 'not-the-secret' });
+    assert.equal(forged.status, 401);
+    assert.match((await forged.json()).error, /does not match/);
+    assert.equal((await me(accessToken)).status, 200);
+});
+
+test('timestamps outside the tolerance are refused, either way', async () => {
+    const event = userDeleted('event_stale', 'user_wh_stale');
+    for (const timestamp of [Date.now() - 10 * 60 * 1000, Date.now() + 10 * 60 * 1000]) {
+        const res = await deliver(event, { timestamp });
+        assert.equal(res.status, 401);
+        assert.match((await res.json()).error, /tolerance/);
+    }
+    // Within it is fine
+    assert.equal((await deliver(event, { timestamp: Date.now() - 60 * 1000 })).status, 200);
+});
+
+test('a repeated event ID is acknowledged but not applied again', async () => {
+    await deliver(userDeleted('event_once', 'user_wh_once'));
+    // Signed in again after the deletion was handled — a replay must not sign them out
+    const { accessToken } = signIn({ id: 'user_wh_once' });
+
+    const replay = await deliver(userDeleted('event_once', 'user_wh_once'));
+    assert.equal(replay.status, 200);
+    assert.equal((await me(accessToken)).status, 200);
+
+    const metrics = await (await app.fetch('/metrics')).text();
+    assert.match(metrics, /event="user\.deleted",outcome="duplicate"\} 1/);
+});